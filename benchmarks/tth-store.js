@@ -0,0 +1,118 @@
+'use strict';
+
+/*
+ * Benchmark for the compact TTH storage (src/tthStore.js).
+ * Generates a blocklist with N random TTHs in the OS temp directory, then measures load time, retained memory and
+ * lookup speed of the streaming loader (BlocklistParser + TTHSet) and, for smaller lists, of the previous
+ * JSON.parse + Set<string> approach. Each measurement runs in its own process so the figures don't mix.
+ * Usage: npm run benchmark -- 1000000 10000000
+ * Note: 10M entries need about 700 MB of temporary disk space; the JSON.parse baseline is skipped above 2M entries.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { spawnSync } = require('child_process');
+const { TTHSet, BlocklistParser, encodeTTH } = require('../src/tthStore');
+
+const DEFAULT_COUNTS = [1000000, 10000000];
+const BASELINE_LIMIT = 2000000;
+const LOOKUPS = 100000;
+const CHUNK_SIZE = 1024 * 1024;
+
+const megabytes = bytes => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+// Writes a blocklist JSON file with count random TTHs.
+function generateBlocklist(filePath, count) {
+  const fd = fs.openSync(filePath, 'w');
+  const digests = Buffer.alloc(24 * 4096);
+  try {
+    fs.writeSync(fd, '{ "url": null, "version": "bench", "description": "Benchmark", "tths": [\n');
+    for (let written = 0; written < count;) {
+      crypto.randomFillSync(digests);
+      const lines = [];
+      for (let i = 0; i < 4096 && written < count; i++, written++) {
+        lines.push(`  { "tth": "${encodeTTH(digests, i * 24)}", "comment": "" }${written < count - 1 ? ',' : ''}`);
+      }
+      fs.writeSync(fd, `${lines.join('\n')}\n`);
+    }
+    fs.writeSync(fd, '] }\n');
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Streams all entries of a blocklist file into onEntry.
+function streamEntries(filePath, onEntry) {
+  const parser = new BlocklistParser(onEntry);
+  const fd = fs.openSync(filePath, 'r');
+  const chunk = Buffer.alloc(CHUNK_SIZE);
+  let bytesRead;
+  while ((bytesRead = fs.readSync(fd, chunk, 0, CHUNK_SIZE, null)) > 0) {
+    parser.write(chunk.toString('utf-8', 0, bytesRead));
+  }
+  fs.closeSync(fd);
+  parser.end();
+  return parser.count;
+}
+
+const loaders = {
+  streaming: filePath => {
+    const set = new TTHSet();
+    streamEntries(filePath, item => set.add(item.tth));
+    return set;
+  },
+  baseline: filePath => {
+    const set = new Set();
+    JSON.parse(fs.readFileSync(filePath, 'utf-8')).tths.forEach(item => set.add(item.tth));
+    return set;
+  }
+};
+
+// Child process: loads the file with one loader and prints a single result line.
+function measure(mode, filePath, count) {
+  global.gc();
+  const before = process.memoryUsage();
+  const startTime = process.hrtime.bigint();
+  const set = loaders[mode](filePath);
+  const loadTime = Number(process.hrtime.bigint() - startTime) / 1e6;
+  global.gc();
+  const after = process.memoryUsage();
+  const retained = (after.heapUsed + after.external) - (before.heapUsed + before.external);
+
+  const sample = [];
+  const step = Math.max(1, Math.floor(count / LOOKUPS));
+  let index = 0;
+  streamEntries(filePath, item => {
+    if (index++ % step === 0) sample.push(item.tth);
+  });
+  const lookupStart = process.hrtime.bigint();
+  let hits = 0;
+  for (const tth of sample) {
+    if (set.has(tth)) hits++;
+  }
+  const lookupTime = Number(process.hrtime.bigint() - lookupStart) / 1e6;
+  console.log(`  ${mode === 'streaming' ? 'TTHSet + streaming' : 'Set<string> + JSON.parse'}: load ${loadTime.toFixed(0)} ms, ` +
+    `retained ${megabytes(retained)}, peak RSS ${megabytes(process.resourceUsage().maxRSS * 1024)}, ` +
+    `${sample.length} lookups in ${lookupTime.toFixed(0)} ms (${hits} hits, ${set.size} entries)`);
+}
+
+if (process.argv[2] === '--measure') {
+  measure(process.argv[3], process.argv[4], Number(process.argv[5]));
+} else {
+  const counts = process.argv.slice(2).map(Number).filter(count => count > 0);
+  for (const count of counts.length > 0 ? counts : DEFAULT_COUNTS) {
+    const filePath = path.join(os.tmpdir(), `tthblock-benchmark-${count}.json`);
+    try {
+      generateBlocklist(filePath, count);
+      console.log(`${count} entries (${megabytes(fs.statSync(filePath).size)} on disk):`);
+      const modes = count <= BASELINE_LIMIT ? ['streaming', 'baseline'] : ['streaming'];
+      modes.forEach(mode => {
+        spawnSync(process.execPath, ['--expose-gc', __filename, '--measure', mode, filePath, String(count)], { stdio: 'inherit' });
+      });
+    } finally {
+      fs.rmSync(filePath, { force: true });
+    }
+  }
+}
@@ -28,6 +28,26 @@ const path = require('path');
 // Path module for cross-platform file path handling, ensuring compatibility on Windows (e.g., L:\AirDC_Test\Settings\extensions).
 // Reference: https://nodejs.org/api/path.html
 
+const crypto = require('crypto');
+// Crypto module for deriving stable cache file names from subscription URLs and verifying Ed25519 signatures.
+// Reference: https://nodejs.org/api/crypto.html
+
+const zlib = require('zlib');
+// Zlib module for reading/writing gzip-compressed blocklists (.json.gz) and decoding compressed downloads.
+// Reference: https://nodejs.org/api/zlib.html
+
+const { StringDecoder } = require('string_decoder');
+// StringDecoder keeps multi-byte UTF-8 characters intact across the chunks of streamed blocklist files.
+// Reference: https://nodejs.org/api/string_decoder.html
+
+const { pipeline, Readable } = require('stream');
+// Stream pipeline for decompressing .json.gz blocklists and downloads chunk by chunk while they are parsed.
+// Reference: https://nodejs.org/api/stream.html
+
+const { TTHSet, BlocklistParser } = require('./tthStore');
+// Compact TTH storage (24-byte digests) and streaming blocklist parser for lists with millions of entries.
+// Linked to: blocklistTTHMap, readBlocklistEntries()
+
 const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch(...args));
 // Dynamic import of node-fetch for HTTP requests to update remote blocklists. Used for fetching JSON files from URLs like raw.githubusercontent.com.
 // Reference: https://github.com/node-fetch/node-fetch
@@ -35,8 +55,33 @@ const fetch = (...args) => import('node-fetch').then(({default: fetch}) => fetch
 const EXTENSION_VERSION = '1.20.56';
 // Defines the extension version for logging and user-facing notifications, ensuring version tracking for debugging and updates.
 
-const CONFIG_VERSION = 1;
-// Tracks the configuration file format version to handle future schema changes gracefully.
+const CONFIG_VERSION = 2;
+// Tracks the configuration file format version; config.json files with an older version are upgraded by CONFIG_MIGRATIONS.
+// Bump it together with a new migration whenever setting keys or value formats change.
+
+const CONFIG_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'flat config.json written before settings were versioned',
+    // The values are kept as they are; readConfigFile() wraps them into { version, settings }.
+    migrate: values => values
+  },
+  {
+    version: 2,
+    description: 'subscription caches renamed from .json to .json.gz',
+    migrate: values => Object.keys(values).reduce((migrated, key) => {
+      const match = key.match(/^(blocklist_|blocklist_action_|search_filter_)(subscription_.+\.json)$/);
+      migrated[match ? `${match[1]}${match[2]}.gz` : key] = values[key];
+      return migrated;
+    }, {})
+  }
+];
+// Ordered settings migrations; each step upgrades the values of config.json from version - 1 to version.
+// Linked to: migrateSettings(), readConfigFile(), CONFIG_VERSION
+
+const RETAINED_SETTINGS_FILE = 'retained_settings.json';
+// File in the extension's settings directory keeping the values of per-blocklist settings whose list is currently missing.
+// Linked to: loadRetainedSettings(), saveRetainedSettings(), updateSettingsDefinitions()
 
 const BLOCKLIST_DIR = path.resolve(__dirname, '..', 'blocklists');
 // Defines the blocklist directory path relative to the extension’s main.js (dist folder).
@@ -49,11 +94,383 @@ const INTERNAL_BLOCKLIST_FILE = path.join(BLOCKLIST_DIR, 'internal_blocklist.jso
 // Example: L:\AirDC_Test\Settings\extensions\airdcpp-tthblock-extension\package\blocklists\internal_blocklist.json
 // Linked to: addToBlocklist(), loadBlockedTTHs(), validateBlocklistFile()
 
-let blockedTTHSet = new Set();
-// Stores all active TTHs from enabled blocklists for quick lookup during download checks.
-// Uses Set for O(1) lookup performance when checking TTHs in queueBundleFileAddHook.
+const BLOCKLIST_IMPORT_DIR = path.join(BLOCKLIST_DIR, 'import');
+// Folder for TTH lists in foreign formats (plain text, CSV, magnet links) that are converted into blocklist JSON files.
+// Imported source files are renamed with an .imported suffix so they aren't converted twice.
+// Linked to: importBlocklists(), importBlocklistFile()
+
+const BLOCKLIST_EXPORT_DIR = path.join(BLOCKLIST_DIR, 'export');
+// Folder where loaded blocklists are written out in plain text, CSV or magnet link format.
+// Linked to: exportBlocklists()
+
+const IMPORT_FORMATS = { '.txt': 'text', '.csv': 'csv', '.magnet': 'magnet' };
+// Maps import file extensions to their parser. Text files may also contain magnet links or urn:tree:tiger: hashes.
+// Linked to: importBlocklistFile(), parseImportText()
+
+const EXPORT_FORMATS = { text: '.txt', csv: '.csv', magnet: '.magnet' };
+// File extensions of the export formats.
+// Linked to: exportBlocklists()
+
+const BLOCK_HISTORY_FILE = 'block_history.jsonl';
+const BLOCK_HISTORY_MAX_SIZE = 5 * 1024 * 1024;
+const BLOCK_HISTORY_ROTATIONS = 3;
+// JSON-lines history of block decisions in the extension's config directory. When it exceeds BLOCK_HISTORY_MAX_SIZE,
+// it's rotated to block_history.1.jsonl (older files shift up to block_history.3.jsonl, the oldest is deleted).
+// Example line: { "time": "2025-09-01T12:00:00.000Z", "point": "queue", "name": "fake.mkv", "tth": "QDJ3...", "size": 1024,
+//                 "source_user": "nick", "source_hub": "Hub", "lists": ["internal_blocklist.json"], "action": "reject" }
+// Linked to: recordBlockHistory(), queryBlockHistory(), exportBlockHistory()
+
+const BLOCK_HISTORY_QUERY_LIMIT = 20;
+// Maximum number of history records shown in a chat reply or event; exports contain all matching records.
+// Linked to: handleChatCommand(), showBlockHistory()
+
+const BLOCK_HISTORY_FORM_DEFINITIONS = [
+  {
+    key: 'range',
+    title: 'Time range (e.g. 24h, 7d, 2025-09-01 or 2025-09-01..2025-09-30, empty for all)',
+    default_value: '',
+    type: 'string',
+    optional: true
+  },
+  {
+    key: 'list',
+    title: 'Blocklist (empty for all)',
+    default_value: '',
+    type: 'string',
+    optional: true
+  },
+  {
+    key: 'tth',
+    title: 'TTH (empty for all)',
+    default_value: '',
+    type: 'string',
+    optional: true
+  }
+];
+// Context menu form with the history filters; the same filters are accepted by /tthblock history.
+// Linked to: parseBlockHistoryFilters(), extension.onStart()
+
+const USER_LIST_FILE_PREFIX = 'user_';
+// Filename prefix of additional writable blocklists created from the user_lists setting.
+// Example: 'legal takedown' -> user_legal_takedown.json
+// Linked to: getUserListFile(), syncUserLists()
+
+const REMOVED_SUFFIX = '.removed';
+// Suffix of writable blocklists removed from the user_lists setting; the file is kept so no entries are lost.
+// Linked to: syncUserLists()
+
+const SUBSCRIPTION_FILE_PREFIX = 'subscription_';
+// Prefix of the cache files the extension creates for subscriptions configured in settings.
+// Files with this prefix are managed by the extension and deleted when their subscription is removed.
+// Example: subscription_example.org_1a2b3c4d.json.gz
+// Linked to: getSubscriptionFile(), syncSubscriptions()
+
+const BLOCKLIST_EXTENSIONS = ['.json.gz', '.json'];
+// File extensions recognised as blocklists in BLOCKLIST_DIR. '.json.gz' files are gzip-compressed and stay compressed on disk.
+// Linked to: isBlocklistFilename(), readBlocklistEntries(), writeBlocklistText()
+
+const ACCEPTED_CONTENT_TYPES = ['application/json', 'text/plain', 'application/gzip', 'application/x-gzip', 'application/octet-stream'];
+// Content types accepted for remote blocklist downloads; compressed files (.gz URLs) are often served as gzip or octet-stream.
+// Linked to: fetchAndUpdateBlocklist()
+
+const HELD_UPDATES_DIR = path.join(BLOCKLIST_DIR, 'held');
+// Remote updates that would shrink a list by more than max_shrink_percent are parked here until confirmed or discarded.
+// Example: blocklists/held/remote_blocklist.json
+// Linked to: holdBlocklistUpdate(), applyHeldUpdates(), discardHeldUpdates()
+
+const CORRUPT_SUFFIX = '.corrupt';
+// Suffix of backups of unparsable blocklist files, which are moved aside instead of being reset.
+// Example: blocklists/remote_blocklist.json.corrupt
+// Linked to: backupCorruptFile(), validateBlocklistFile()
+
+const ALLOWLIST_FILE = path.join(BLOCKLIST_DIR, 'allowlist.json');
+// Path to the writable allowlist. TTHs listed here are never blocked, regardless of which blocklists contain them.
+// Uses the same entry format as internal_blocklist.json but is not treated as a blocklist.
+// Linked to: loadAllowlist(), addToAllowlist(), getBlocklistFiles(), queueBundleFileAddHook()
+
+const BLOCKLIST_ACTIONS = [
+  { id: 'audit', name: 'Audit only (log what would be blocked)' },
+  { id: 'lowest_priority', name: 'Queue with lowest priority' },
+  { id: 'pause', name: 'Queue paused' },
+  { id: 'reject', name: 'Reject download' }
+];
+// Actions that can be applied to files matching a blocklist, ordered from least to most strict.
+// When several blocklists match a file, queueBundleFileAddHook applies the strictest action among them.
+// Linked to: getBlocklistActionDefinition(), getBlocklistAction(), queueBundleFileAddHook()
+
+const QUEUE_PURGE_ACTIONS = [
+  { id: 'remove', name: 'Remove from queue' },
+  { id: 'pause', name: 'Pause' },
+  { id: 'disabled', name: 'Do nothing' }
+];
+// Options for handling already queued files whose TTH becomes blocked by a blocklist update.
+// Linked to: purgeBlockedQueueFiles(), updateSettingsDefinitions()
+
+const QUEUE_PURGE_DEFINITION = {
+  key: 'queue_purge_action',
+  title: 'Action for queued files that become blocked',
+  default_value: 'remove',
+  type: 'string',
+  options: QUEUE_PURGE_ACTIONS
+};
+// Setting definition shared by the initial and dynamic settings registration.
+// Linked to: updateSettingsDefinitions(), module.exports()
+
+const SEARCH_FILTER_MODE_DEFINITION = {
+  key: 'search_filter_mode',
+  title: 'Blocked TTHs in search results',
+  default_value: 'drop',
+  type: 'string',
+  options: [
+    { id: 'drop', name: 'Hide results' },
+    { id: 'flag', name: 'Show results but log them as blocked' },
+    { id: 'disabled', name: 'Do nothing' }
+  ]
+};
+// Controls whether incoming search results with blocked TTHs are dropped or only flagged in the log.
+// Linked to: searchIncomingResultHook(), updateSettingsDefinitions(), module.exports()
+
+const QUARANTINE_DIRECTORY_DEFINITION = {
+  key: 'quarantine_directory',
+  title: 'Quarantine directory for blocked shared files (default: extension settings folder)',
+  default_value: '',
+  type: 'directory_path',
+  optional: true
+};
+// Target directory for the "move to quarantine" follow-up action of the share scan.
+// Linked to: scanShareAgainstBlocklists(), updateSettingsDefinitions(), module.exports()
+
+const BLOCK_SHARING_DEFINITION = {
+  key: 'block_sharing',
+  title: 'Prevent files with blocked TTHs from being shared',
+  default_value: false,
+  type: 'boolean'
+};
+// Enables share_file_validation_hook, rejecting hashed files whose TTH is in an enabled blocklist.
+// Linked to: shareFileValidationHook(), updateSettingsDefinitions(), module.exports()
+
+const SUBSCRIPTIONS_DEFINITION = {
+  key: 'subscriptions',
+  title: 'Remote blocklist subscriptions',
+  default_value: [],
+  type: 'list',
+  item_type: 'struct',
+  definitions: [
+    {
+      key: 'url',
+      title: 'URL (HTTP/HTTPS)',
+      default_value: '',
+      type: 'url'
+    },
+    {
+      key: 'name',
+      title: 'Display name',
+      default_value: '',
+      type: 'string',
+      optional: true
+    },
+    {
+      key: 'public_keys',
+      title: 'Trusted Ed25519 public keys (base64 or hex, comma-separated)',
+      default_value: '',
+      type: 'string',
+      optional: true
+    },
+    {
+      key: 'update_interval',
+      title: 'Update interval in minutes (0 = use the global interval)',
+      default_value: 0,
+      type: 'number',
+      optional: true
+    }
+  ]
+};
+// Remote blocklists subscribed to from settings. The extension creates and removes their cache files in BLOCKLIST_DIR.
+// Linked to: syncSubscriptions(), updateSettingsDefinitions(), module.exports()
+
+const USER_LISTS_DEFINITION = {
+  key: 'user_lists',
+  title: 'Additional writable blocklists (e.g. spam, wrong quality, legal takedown)',
+  default_value: [],
+  type: 'list',
+  item_type: 'string',
+  optional: true
+};
+// Writable blocklists offered as targets of "Add TTH to blocklist" next to internal_blocklist.json.
+// The extension creates a user_<name>.json file for each name; each list gets its own enable toggle.
+// Linked to: syncUserLists(), getWritableBlocklists(), updateSettingsDefinitions(), module.exports()
+
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+// DER prefix that turns a raw 32-byte Ed25519 public key into an SPKI key accepted by crypto.createPublicKey().
+// Linked to: parsePublicKey()
+
+const SIGNATURE_SUFFIX = '.sig';
+// Suffix of detached signature files, fetched from the blocklist URL + suffix when no embedded signature exists.
+// Example: https://example.org/list.json.sig
+// Linked to: verifyBlocklistSignature()
+
+const MAX_SHRINK_DEFINITION = {
+  key: 'max_shrink_percent',
+  title: 'Hold remote updates that remove more than this percentage of a list (0 = never hold)',
+  default_value: 50,
+  type: 'number'
+};
+// Remote updates shrinking a list by more than this percentage are held for confirmation instead of being applied.
+// Linked to: fetchAndUpdateBlocklist(), holdBlocklistUpdate(), updateSettingsDefinitions(), module.exports()
+
+const UPDATE_STATE_FILE = 'update_state.json';
+// File in extension.configPath persisting the update state of remote blocklists across restarts.
+// Example: { "remote_blocklist.json": { "etag": "\"abc\"", "last_modified": "Wed, 27 Aug 2025 19:00:00 GMT", "version": "1.0.15",
+//            "last_success": 1756321200000, "last_failure": null, "last_error": null, "failures": 0, "retry_after": null } }
+// Linked to: loadUpdateState(), saveUpdateState(), blocklistUpdateState
+
+const UPDATE_JITTER = 0.1;
+// Random spread (±10%) applied to update intervals so lists sharing a host aren't fetched at the same moment.
+// Linked to: getNextUpdateTime()
+
+const UPDATE_RETRY_BASE = 60 * 1000;
+const UPDATE_RETRY_MAX = 24 * 60 * 60 * 1000;
+// Exponential backoff after failed updates: 1 min, 2 min, 4 min, ... capped at 24 hours.
+// Linked to: getNextUpdateTime()
+
+const INITIAL_UPDATE_DELAY = 30 * 1000;
+// Lists that have never been checked are fetched within this window after startup, spread randomly.
+// Linked to: getNextUpdateTime()
+
+const MAX_TIMER_DELAY = 2147483647;
+// Largest delay setTimeout() accepts (about 24.8 days); longer waits are rescheduled when the timer fires.
+// Linked to: scheduleBlocklistUpdate()
+
+const SEARCH_REPORT_DELAY = 5000;
+// Delay (ms) after the last suppressed result of a search instance before its suppression count is reported.
+// Linked to: recordSuppressedSearchResult()
+
+const QUEUE_LIST_LIMIT = 100000;
+// Maximum number of bundles or bundle files requested from the queue API in a single listing.
+// Linked to: purgeBlockedQueueFiles()
+
+const ENTRY_METADATA_FIELDS = ['name', 'size', 'source_user', 'source_hub', 'added_from', 'expires_at'];
+// Optional entry fields captured when a TTH is added from a context menu, kept alongside the comment (reason).
+// Example: { "tth": "...", "comment": "fake release", "timestamp": "...", "name": "movie.mkv", "size": 734003200,
+//            "source_user": "nick", "source_hub": "Hub", "added_from": "search", "expires_at": "2025-09-01T12:00:00.000Z" }
+// Linked to: addToBlocklist(), indexBlocklistEntries(), describeMembership()
+
+const ENTRY_DETAILS_LIMIT = 100000;
+// Maximum number of entry comments/metadata kept in memory per blocklist; TTHs beyond it are still blocked,
+// but events show them without a reason. Keeps RSS bounded for large commented community lists.
+// Linked to: blocklistDetailsMap, indexBlocklistEntry()
+
+const READ_CHUNK_SIZE = 1024 * 1024;
+// Chunk size in bytes for streaming blocklist files into BlocklistParser.
+// Linked to: readBlocklistEntries()
+
+const DEFAULT_BLOCK_REASON = 'Blocked manually';
+// Reason stored for entries added from clients that don't support context menu forms, or when no reason is entered.
+// Linked to: addToBlocklist(), extension.onStart()
+
+const REASON_FORM_DEFINITIONS = [
+  {
+    key: 'reason',
+    title: 'Reason for blocking',
+    default_value: '',
+    type: 'string',
+    optional: true
+  }
+];
+// Context menu form prompting for a reason when adding TTHs (requires form support in the client).
+// Linked to: extension.onStart()
+
+const BLOCK_DURATIONS = [
+  { id: 'permanent', title: 'Permanently', days: null },
+  { id: '1d', title: 'For 1 day', days: 1 },
+  { id: '1w', title: 'For 1 week', days: 7 },
+  { id: '1m', title: 'For 1 month', days: 30 }
+];
+// Durations offered by the "Add TTH to blocklist" submenu; temporary entries get an expires_at timestamp.
+// Linked to: addToBlocklist(), extension.onStart()
+
+const EXPIRY_PRUNE_INTERVAL = 60 * 60 * 1000;
+// Interval in milliseconds for pruning expired entries from internal_blocklist.json.
+// Linked to: pruneExpiredEntries(), extension.onStart()
+
+const MENU_SOURCES = {
+  grouped_search_result: { added_from: 'search', name: 'search results' },
+  filelist_item: { added_from: 'filelist', name: 'filelist' },
+  chat: { added_from: 'chat', name: 'chat command' },
+  queue_bundle: { added_from: 'queue', name: 'queue bundles' },
+  queue_file: { added_from: 'queue', name: 'queued files' },
+  transfer: { added_from: 'transfer', name: 'transfers' }
+};
+// Sources of add/remove/allow actions: the stored added_from value and the name used in events.
+// Linked to: addToBlocklist(), removeFromBlocklist(), addToAllowlist(), handleChatCommand()
+
+const CHAT_COMMAND = '/tthblock';
+// Chat command handled in hub and private chat outgoing message hooks; the message is not sent to the hub or user.
+// Example: /tthblock add QDJ3QLGZWKAHVA6S44WKPHAGJJ7XY57X33RGQMQ fake release
+// Linked to: handleChatCommand(), extension.onStart()
+
+const CHAT_COMMAND_HELP = [
+  `${CHAT_COMMAND} add <tth|magnet> [reason] - add a TTH to the internal blocklist`,
+  `${CHAT_COMMAND} remove <tth> - remove a TTH from the writable blocklists`,
+  `${CHAT_COMMAND} check <tth|magnet> - show the blocklists containing a TTH`,
+  `${CHAT_COMMAND} lists - list all blocklists`,
+  `${CHAT_COMMAND} enable <list> / ${CHAT_COMMAND} disable <list> - enable or disable a blocklist`,
+  `${CHAT_COMMAND} update [list] - update all remote blocklists, or update/reload one list`,
+  `${CHAT_COMMAND} stats - show blocklist statistics`,
+  `${CHAT_COMMAND} history [range] [list] [tth] - show recent block decisions, e.g. ${CHAT_COMMAND} history 7d internal`,
+  `${CHAT_COMMAND} history export [range] [list] [tth] - export matching block decisions to CSV`
+];
+// Usage shown for /tthblock without arguments, /tthblock help or unknown subcommands.
+// Linked to: handleChatCommand()
+
+const QUEUE_PRIORITY_PAUSED = 1;
+const QUEUE_PRIORITY_LOWEST = 2;
+// AirDC++ queue priority IDs used for the 'pause' and 'lowest_priority' actions (queue_add_bundle_file_hook and queue purges).
+// The API uses -1 for the default priority, 0 for force-paused, 1 for paused and 2 for lowest.
+// Reference: https://airdcpp.docs.apiary.io/#reference/queue
+
+const mergedTTHSet = new TTHSet();
+// Union of the TTHs of all loaded blocklists, kept in sync by indexBlocklistEntry() and unindexBlocklist().
+// Costs one more 24-byte digest (plus hash table slack) per distinct TTH, so that unblocked TTHs (the common case
+// in the queue, search and share hooks) are rejected with a single lookup.
+// Linked to: blockedTTHSet, indexBlocklistEntry(), unindexBlocklist()
+
+const blockedTTHSet = {
+  has(tth) {
+    if (!mergedTTHSet.has(tth)) return false;
+    // Only TTHs contained in some list get here; the lists are checked one by one for expired entries
+    for (const [file, tthSet] of blocklistTTHMap) {
+      if (tthSet.has(tth) && !isEntryExpired(file, tth)) return true;
+    }
+    return false;
+  }
+};
+// Lookup of all active TTHs from enabled blocklists during download checks.
+// A lookup in mergedTTHSet for unblocked TTHs; blocked TTHs additionally cost one lookup per loaded list.
+// Entries past their expires_at no longer count as blocked.
 // Linked to: loadBlockedTTHs(), addToBlocklist(), queueBundleFileAddHook()
 
+let settingDefinitions = [];
+// Setting definitions currently registered with the API. The same array is passed to SettingsManager and updated in place,
+// so getValue() and saving config.json know about per-blocklist settings added at runtime.
+// Linked to: getSettingsDefinitions(), updateSettingsDefinitions(), module.exports()
+
+let retainedSettingValues = {};
+let retainedSettingsPath = null;
+// Non-default values of settings whose definition was removed (e.g. a blocklist file that disappeared), restored when it returns.
+// Example: retainedSettingValues -> { 'blocklist_action_external1.json': 'audit' }
+// Linked to: loadRetainedSettings(), saveRetainedSettings(), updateSettingsDefinitions()
+
+let settingDefinitionsUpdating = false;
+// Set while updateSettingsDefinitions() replaces the definitions and restores the values; the API reports every value
+// at its default in between, which onValuesUpdated must not act on (e.g. an empty subscriptions list).
+// Linked to: updateSettingsDefinitions(), extension.onStart()
+
+let knownSettingValues = {};
+// Last seen setting values; onValuesUpdated ignores values that didn't change, e.g. when values are re-sent after
+// the definitions were replaced.
+// Linked to: updateSettingsDefinitions(), extension.onStart()
+
 let blocklistFiles = [];
 // Array storing metadata of all blocklist files (local and remote) in BLOCKLIST_DIR.
 // Structure: [{ file, path, mtime, url, version, updated_at, description }]
@@ -61,24 +478,78 @@ let blocklistFiles = [];
 // Linked to: getBlocklistFiles(), loadBlockedTTHs(), updateSettingsDefinitions()
 
 let blocklistTTHMap = new Map();
-// Maps blocklist filenames to their respective TTH Sets for tracking which TTHs belong to which blocklist.
+// Maps blocklist filenames to their respective TTHSets (24-byte digests) for tracking which TTHs belong to which blocklist.
 // Used to unload/reload TTHs when blocklists are updated or disabled.
-// Example: blocklistTTHMap.get('bob_blocklist.json') -> Set(['TTH1', 'TTH2'])
+// Example: blocklistTTHMap.get('bob_blocklist.json') -> TTHSet(['TTH1', 'TTH2'])
 // Linked to: loadBlockedTTHs(), updateSingleBlocklist()
 
-let blocklistETags = new Map();
-// Stores ETag headers for remote blocklists to support HTTP 304 (Not Modified) responses, reducing unnecessary downloads.
-// Example: blocklistETags.get('remote_blocklist.json') -> 'etag-value'
-// Linked to: fetchAndUpdateBlocklist()
+let allowedTTHMap = new Map();
+// Maps allowlisted TTHs to their entry comments, checked before rejecting a blocked download.
+// Linked to: loadAllowlist(), addToAllowlist(), queueBundleFileAddHook()
+
+let blocklistDetailsMap = new Map();
+// Maps blocklist filenames to the comment and metadata of their entries, only for entries that have any (up to ENTRY_DETAILS_LIMIT).
+// A TTH stays blocked for as long as at least one enabled blocklist contains it.
+// Example: blocklistDetailsMap.get('internal_blocklist.json') -> Map({ 'TTH1' => { comment: 'fake', name: 'a.mkv' } })
+// Linked to: indexBlocklistEntry(), unindexBlocklist(), getTTHMemberships()
+
+let blocklistExpiryMap = new Map();
+// Maps blocklist filenames to the expiry times (ms since epoch) of their entries with an expires_at field.
+// Kept apart from blocklistDetailsMap so expiring entries of large lists are honoured beyond ENTRY_DETAILS_LIMIT.
+// Example: blocklistExpiryMap.get('internal_blocklist.json') -> Map({ 'TTH1' => 1756291959208 })
+// Linked to: indexBlocklistEntry(), unindexBlocklist(), isEntryExpired(), pruneExpiredEntries()
+
+let expiryPruneTimer = null;
+// Interval timer running pruneExpiredEntries(); cleared in extension.onStop.
+// Linked to: pruneExpiredEntries(), extension.onStart()
+
+let blocklistRuleMap = new Map();
+// Maps blocklist filenames to their compiled pattern rules (entries without a TTH that match on name, target path or size).
+// Rules are compiled once when a list is loaded so queueBundleFileAddHook only runs the cached regexes.
+// Example: blocklistRuleMap.get('spam_rules.json') -> [{ regex: /^.*\.exe$/i, match: 'name', min_size: null, max_size: null, comment: 'exe' }]
+// Linked to: compileBlocklistRule(), indexBlocklistEntries(), findMatchingRules()
+
+let compiledPatternCache = new Map();
+// Caches compiled regexes by pattern type and source so reloading a list doesn't recompile unchanged patterns.
+// Linked to: compileBlocklistRule()
+
+let suppressedSearchResults = new Map();
+// Tracks suppressed (or flagged) search results per search instance until the count is reported.
+// Example: suppressedSearchResults.get(12) -> { count: 3, lists: Set(['remote_blocklist.json']), timeout }
+// Linked to: recordSuppressedSearchResult(), searchIncomingResultHook()
+
+let blocklistUpdateState = new Map();
+// Update state of remote blocklists (ETag, Last-Modified, version, last success/failure, last error, failure count, Retry-After),
+// persisted to UPDATE_STATE_FILE so conditional requests (HTTP 304) and backoff survive restarts.
+// Example: blocklistUpdateState.get('remote_blocklist.json') -> { etag: 'etag-value', failures: 0, last_success: 1756321200000, ... }
+// Linked to: fetchAndUpdateBlocklist(), getNextUpdateTime(), loadUpdateState()
+
+let blockHistoryPath = null;
+// Full path of BLOCK_HISTORY_FILE, set in module.exports once configPath is known; history is disabled while null.
+// Linked to: recordBlockHistory(), getBlockHistoryFiles()
+
+let updateStatePath = null;
+// Full path of UPDATE_STATE_FILE, set in extension.onStart once configPath is known.
+// Linked to: loadUpdateState(), saveUpdateState()
 
 let blocklistVersions = new Map();
 // Tracks version or updated_at timestamps of blocklists to detect changes during remote updates.
 // Example: blocklistVersions.get('remote_blocklist.json') -> '1.0.0' or '2025-08-27T14:49:00Z'
 // Linked to: fetchAndUpdateBlocklist(), loadBlockedTTHs()
 
-let updateIntervalId = null;
-// Stores the interval ID for scheduled remote blocklist updates to allow cleanup on extension stop.
-// Linked to: scheduleBlocklistUpdates(), extension.onStop()
+let blocklistHeaders = new Map();
+// Document without its entries (as returned by readBlocklistEntries()) per blocklist, kept from the last read so delta
+// updates don't have to parse the whole cached copy just to find its delta_url and version.
+// Example: blocklistHeaders.get('remote_blocklist.json') -> { url, version: '1.0.0', delta_url: 'https://...', tths: [], count: 120000 }
+// Linked to: getBlocklistHeader(), fetchBlocklistDelta(), loadBlockedTTHs(), updateSingleBlocklist()
+
+let updateTimers = new Map();
+// Pending update timers per remote blocklist, cleared when rescheduling and on extension stop.
+// Linked to: scheduleBlocklistUpdate(), extension.onStop()
+
+let updatesInProgress = new Set();
+// Remote blocklists currently being fetched, so "Update now" and scheduled updates don't overlap.
+// Linked to: runBlocklistUpdate()
 
 let lastUpdateWriteTime = new Map();
 // Tracks the last modification time (mtimeMs) of each blocklist file to prevent redundant reloads during rapid changes.
@@ -111,44 +582,29 @@ process.on('warning', (warning) => {
   console.warn(warning);
 });
 
+// Formats one blocklist entry as an indented single line of formatBlocklistJSON() output.
+// Linked to: formatBlocklistJSON(), writeBlocklistStream()
+function formatBlocklistEntry(item) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return `    ${JSON.stringify(item)}`;
+  }
+  return `    { ${Object.keys(item).map(key => `${JSON.stringify(key)}: ${JSON.stringify(item[key])}`).join(', ')} }`;
+}
+
 // Formats JSON blocklist files for consistent readability, especially for internal_blocklist.json.
 // Ensures TTH objects are written on a single line for compactness while keeping other fields pretty-printed.
+// Entries are serialized individually so string values (comments, file names) round-trip unchanged.
 // Example input: { "tths": [{ "tth": "ABC...", "comment": "Test" }, ...] }
 // Example output: Pretty JSON with tths array items on single lines.
 // Linked to: validateBlocklistFile(), addToBlocklist(), fetchAndUpdateBlocklist()
 function formatBlocklistJSON(data) {
-  const prettyJSON = JSON.stringify(data, null, 2).split('\n');
-  // Split JSON into lines for custom formatting.
-  const result = [];
-  let inTTHsArray = false;
-  let tthObjectLines = [];
-  
-  for (let i = 0; i < prettyJSON.length; i++) {
-    const line = prettyJSON[i];
-    if (line.trim() === '"tths": [') {
-      inTTHsArray = true;
-      result.push(line);
-      continue;
-    }
-    if (inTTHsArray && line.trim() === ']') {
-      inTTHsArray = false;
-      result.push(line);
-      continue;
-    }
-    if (inTTHsArray) {
-      tthObjectLines.push(line);
-      if (line.trim() === '},' || line.trim() === '}') {
-        // Combine TTH object lines into a single line for compactness.
-        const singleLine = tthObjectLines.join(' ').replace(/\s+/g, ' ').replace('} ,', '},').trim();
-        result.push(`    ${singleLine}`);
-        tthObjectLines = [];
-      }
-    } else {
-      result.push(line);
-    }
+  if (!Array.isArray(data.tths) || data.tths.length === 0) {
+    return JSON.stringify(data, null, 2);
   }
-  
-  return result.join('\n');
+  // Spreading keeps the position of the tths key, which is filled in below
+  const prettyJSON = JSON.stringify({ ...data, tths: [] }, null, 2);
+  const entries = data.tths.map(formatBlocklistEntry);
+  return prettyJSON.replace(/^( {2}"tths": )\[\]/m, (match, prefix) => `${prefix}[\n${entries.join(',\n')}\n  ]`);
 }
 
 // Ensures the blocklist directory exists, creating it if necessary.
@@ -168,6 +624,104 @@ function ensureBlocklistDir() {
   }
 }
 
+// Parses the optional expires_at field of an entry (ISO 8601 date) into milliseconds since epoch.
+// Returns null for permanent entries and unparseable values.
+// Example: parseExpiry('2025-09-01T12:00:00Z') -> 1756728000000
+// Linked to: indexBlocklistEntry(), compileBlocklistRule(), pruneExpiredEntries()
+function parseExpiry(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+// Returns true if the entry for a TTH in a blocklist has an expires_at in the past.
+// Linked to: blocklistExpiryMap, blockedTTHSet, getTTHMemberships()
+function isEntryExpired(file, tth, now = Date.now()) {
+  const expiries = blocklistExpiryMap.get(file);
+  if (!expiries) return false;
+  const expiresAt = expiries.get(tth);
+  return expiresAt !== undefined && expiresAt <= now;
+}
+
+// Checks whether a blocklist entry is a pattern rule (has no TTH but a name/target pattern or size range).
+// Linked to: compileBlocklistRule(), validateBlocklistFile(), indexBlocklistEntries()
+function isBlocklistRule(item) {
+  return !!item && !item.tth && (item.pattern !== undefined || item.min_size !== undefined || item.max_size !== undefined);
+}
+
+// Compiles a pattern rule entry into a cached matcher. Returns null for invalid rules.
+// Rule fields: pattern (glob by default, or regex with pattern_type 'regex'), match ('name' or 'target'),
+// min_size and max_size (bytes, inclusive). Globs support * and ? and match case-insensitively.
+// Example: { "pattern": "*.exe", "match": "name", "comment": "executable in release" }
+// Linked to: isBlocklistRule(), indexBlocklistEntries(), validateBlocklistFile()
+function compileBlocklistRule(item) {
+  if (!isBlocklistRule(item)) {
+    return null;
+  }
+  const patternType = item.pattern_type || 'glob';
+  const match = item.match || 'name';
+  if (!['glob', 'regex'].includes(patternType) || !['name', 'target'].includes(match)) {
+    return null;
+  }
+  const isSize = value => value === undefined || value === null || (typeof value === 'number' && value >= 0);
+  if (!isSize(item.min_size) || !isSize(item.max_size)) {
+    return null;
+  }
+  let regex = null;
+  if (item.pattern !== undefined) {
+    if (typeof item.pattern !== 'string' || item.pattern === '') {
+      return null;
+    }
+    const cacheKey = `${patternType}:${item.pattern}`;
+    regex = compiledPatternCache.get(cacheKey);
+    if (!regex) {
+      try {
+        regex = patternType === 'regex' ?
+          new RegExp(item.pattern, 'i') :
+          new RegExp(`^${item.pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`, 'i');
+      } catch (err) {
+        console.warn(`[TTH Block] Invalid ${patternType} pattern ${item.pattern}: ${err.message}`);
+        return null;
+      }
+      compiledPatternCache.set(cacheKey, regex);
+    }
+  }
+  return {
+    pattern: item.pattern,
+    regex,
+    match,
+    min_size: typeof item.min_size === 'number' ? item.min_size : null,
+    max_size: typeof item.max_size === 'number' ? item.max_size : null,
+    expires_at: parseExpiry(item.expires_at),
+    comment: item.comment || ''
+  };
+}
+
+// Returns the rules of all loaded blocklists matching a queued file as [{ file, comment }].
+// Name rules are tested against the file name only, target rules against the full target path. Expired rules are skipped.
+// Linked to: blocklistRuleMap, queueBundleFileAddHook()
+function findMatchingRules(name, target, size) {
+  const baseName = (name || '').split(/[\\/]/).pop();
+  const matches = [];
+  const now = Date.now();
+  blocklistRuleMap.forEach((rules, file) => {
+    rules.forEach(rule => {
+      if (rule.expires_at !== null && rule.expires_at <= now) return;
+      if (rule.min_size !== null && !(size >= rule.min_size)) return;
+      if (rule.max_size !== null && !(size <= rule.max_size)) return;
+      if (rule.regex && !rule.regex.test(rule.match === 'target' ? (target || '') : baseName)) return;
+      const description = [
+        rule.pattern !== undefined ? `${rule.match} ${rule.pattern}` : null,
+        rule.min_size !== null || rule.max_size !== null ? `size ${rule.min_size !== null ? rule.min_size : 0}-${rule.max_size !== null ? rule.max_size : '∞'}` : null
+      ].filter(part => part).join(', ');
+      matches.push({ file, comment: rule.comment ? `${rule.comment}; rule: ${description}` : `rule: ${description}` });
+    });
+  });
+  return matches;
+}
+
 // Validates a TTH string to ensure it’s a 39-character base32 string (A-Z, 2-7).
 // Used to check TTHs in blocklists and context menu actions to prevent invalid entries.
 // Reference: https://en.wikipedia.org/wiki/Tiger_(hash_function)#TTH
@@ -186,47 +740,321 @@ function isValidTTH(id) {
   return true;
 }
 
-// Checks if a blocklist URL is valid for remote fetching (HTTP/HTTPS, preferably raw GitHub URLs).
+// Normalises a hash from an imported list: trims it, strips a urn:tree:tiger: prefix and converts it to uppercase.
+// Example: 'urn:tree:tiger:qdj3qlgzwkahva6s44wkphagjj7xy57x33rgqmq' -> 'QDJ3QLGZWKAHVA6S44WKPHAGJJ7XY57X33RGQMQ'
+// Linked to: parseMagnetLink(), parseImportText(), isValidTTH()
+function normalizeTTH(value) {
+  return String(value || '').trim().replace(/^urn:tree:tiger:/i, '').toUpperCase();
+}
+
+// Extracts the TTH, file name (dn) and size (xl) from a magnet link. Returns null if it has no tree:tiger hash.
+// Example: magnet:?xt=urn:tree:tiger:QDJ3...&xl=1024&dn=file.mkv
+// Linked to: parseImportText(), normalizeTTH()
+function parseMagnetLink(link) {
+  try {
+    const params = new URL(link.trim()).searchParams;
+    const xt = params.getAll('xt').find(value => /^urn:tree:tiger:/i.test(value));
+    if (!xt) {
+      return null;
+    }
+    const entry = { tth: normalizeTTH(xt) };
+    if (params.get('dn')) entry.name = params.get('dn');
+    if (params.get('xl') && !isNaN(Number(params.get('xl')))) entry.size = Number(params.get('xl'));
+    return entry;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Splits a CSV line into fields, handling quoted fields with escaped ("") quotes.
+// Linked to: parseImportText()
+function parseCSVLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  fields.push(field);
+  return fields.map(value => value.trim());
+}
+
+// Parses an imported TTH list into blocklist entries.
+// text: one hash or magnet link per line, optionally followed by a comment; lines starting with # are ignored.
+// csv: columns tth, comment, name, size, timestamp when a header row names them, otherwise tth and comment.
+// magnet: one magnet link per line.
+// Returns: { entries, duplicates: [lineNumber], invalid: [lineNumber] }
+// Linked to: importBlocklistFile(), normalizeTTH(), parseMagnetLink(), parseCSVLine()
+function parseImportText(text, format) {
+  const entries = [];
+  const duplicates = [];
+  const invalid = [];
+  const seen = new Set();
+  const timestamp = new Date().toISOString();
+  let columns = null;
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const lineNumber = index + 1;
+    const line = rawLine.replace(/^\uFEFF/, '').trim();
+    if (line === '' || line.startsWith('#')) {
+      return;
+    }
+    let entry = null;
+    if (format === 'csv') {
+      const fields = parseCSVLine(line);
+      if (!columns && fields.some(field => field.toLowerCase() === 'tth')) {
+        columns = fields.map(field => field.toLowerCase());
+        return;
+      }
+      const row = {};
+      (columns || ['tth', 'comment']).forEach((column, i) => {
+        if (fields[i] !== undefined && fields[i] !== '') row[column] = fields[i];
+      });
+      entry = /^magnet:/i.test(row.tth || '') ? parseMagnetLink(row.tth) : { tth: normalizeTTH(row.tth) };
+      if (entry) {
+        if (row.comment) entry.comment = row.comment;
+        if (row.name) entry.name = row.name;
+        if (row.size && !isNaN(Number(row.size))) entry.size = Number(row.size);
+        if (row.timestamp) entry.timestamp = row.timestamp;
+      }
+    } else if (format === 'magnet' || /^magnet:/i.test(line)) {
+      entry = parseMagnetLink(line.split(/\s+/)[0]);
+    } else {
+      const [hash, ...comment] = line.split(/\s+/);
+      entry = { tth: normalizeTTH(hash) };
+      if (comment.length > 0) entry.comment = comment.join(' ');
+    }
+    if (!entry || !isValidTTH(entry.tth)) {
+      invalid.push(lineNumber);
+      return;
+    }
+    if (seen.has(entry.tth)) {
+      duplicates.push(lineNumber);
+      return;
+    }
+    seen.add(entry.tth);
+    entries.push({ tth: entry.tth, comment: entry.comment || '', timestamp: entry.timestamp || timestamp, ...(entry.name ? { name: entry.name } : {}), ...(entry.size !== undefined ? { size: entry.size } : {}) });
+  });
+  return { entries, duplicates, invalid };
+}
+
+// Checks if a blocklist URL is valid for remote fetching (any HTTP/HTTPS host).
 // Allows 'Internal' for internal_blocklist.json and validates URLs for remote blocklists.
-// Example: https://raw.githubusercontent.com/user/repo/main/blocklist.json
+// Example: https://raw.githubusercontent.com/user/repo/main/blocklist.json, https://git.example.org/user/repo/raw/branch/main/list.json
 // Linked to: getBlocklistFiles(), fetchAndUpdateBlocklist(), updateSettingsDefinitions()
 function isValidBlocklistURL(url) {
   if (url === 'Internal') return true;
   try {
     const parsed = new URL(url);
-    const isValidProtocol = parsed.protocol === 'https:' || parsed.protocol === 'http:';
-    const isRawURL = parsed.hostname.includes('raw.githubusercontent.com') || parsed.pathname.includes('/raw/');
-    // Prefers raw GitHub URLs for JSON files, as they’re common for blocklists.
-    return isValidProtocol && isRawURL;
+    return parsed.protocol === 'https:' || parsed.protocol === 'http:';
   } catch (err) {
     return false;
   }
 }
 
+// Checks whether a filename in BLOCKLIST_DIR is a blocklist (.json or .json.gz).
+// Linked to: getBlocklistFiles(), watchBlocklistDir(), BLOCKLIST_EXTENSIONS
+function isBlocklistFilename(file) {
+  return BLOCKLIST_EXTENSIONS.some(extension => file.endsWith(extension));
+}
+
+// Returns a blocklist filename without its .json/.json.gz extension.
+// Example: getBlocklistBaseName('remote_blocklist.json.gz') -> 'remote_blocklist'
+// Linked to: validateBlocklistFile(), exportBlocklists()
+function getBlocklistBaseName(file) {
+  const extension = BLOCKLIST_EXTENSIONS.find(ext => file.endsWith(ext));
+  return path.basename(file, extension);
+}
+
+// Writes blocklist text to a file, gzip-compressing it for .json.gz files.
+// Writes atomically (temp file + rename) so a crash or full disk never leaves a truncated blocklist behind;
+// the .tmp name isn't a blocklist filename, so the directory watcher ignores it.
+// Linked to: readBlocklistEntries(), syncSubscriptions(), addToBlocklist()
+function writeBlocklistText(filePath, text) {
+  const tempPath = `${filePath}.tmp`;
+  try {
+    if (filePath.endsWith('.gz')) {
+      fs.writeFileSync(tempPath, zlib.gzipSync(text));
+    } else {
+      fs.writeFileSync(tempPath, text, 'utf-8');
+    }
+    fs.renameSync(tempPath, filePath);
+  } catch (err) {
+    fs.rmSync(tempPath, { force: true });
+    throw err;
+  }
+}
+
+// Streams a blocklist in formatBlocklistJSON() layout to tempPath (gzip-compressed if compress is set).
+// produce(writeEntry) is awaited and writes the entries one by one; writeEntry waits while the output is busy,
+// so entries never pile up in memory. Returns the number of written entries. The caller renames or removes tempPath.
+// Linked to: formatBlocklistEntry(), applyBlocklistDelta(), rewriteBlocklistFile(), fetchAndUpdateBlocklist()
+async function writeBlocklistStream(tempPath, compress, header, produce) {
+  const output = fs.createWriteStream(tempPath);
+  const sink = compress ? zlib.createGzip() : output;
+  const finished = new Promise((resolve, reject) => {
+    output.on('finish', resolve);
+    output.on('error', reject);
+    sink.on('error', reject);
+  });
+  finished.catch(() => {});
+  if (compress) sink.pipe(output);
+  const write = text => sink.write(text) ? Promise.resolve() : new Promise(resolve => sink.once('drain', resolve));
+  const prettyJSON = JSON.stringify({ ...header, tths: [] }, null, 2);
+  const placeholder = prettyJSON.match(/^ {2}"tths": \[\]/m);
+  let count = 0;
+  try {
+    await write(prettyJSON.slice(0, placeholder.index + placeholder[0].length - 1));
+    await produce(async item => {
+      await write(`${count > 0 ? ',' : ''}\n${formatBlocklistEntry(item)}`);
+      count++;
+    });
+    await write(`${count > 0 ? '\n  ' : ''}]${prettyJSON.slice(placeholder.index + placeholder[0].length)}`);
+    sink.end();
+    await finished;
+  } catch (err) {
+    sink.destroy();
+    output.destroy();
+    throw err;
+  }
+  return count;
+}
+
+// Writes the entries of sourcePath to filePath under a new header, streaming them through unchanged (temp file + rename).
+// sourcePath may be filePath itself, e.g. to change the description of a cached list.
+// Linked to: writeBlocklistStream(), readBlocklistEntries(), syncSubscriptions(), fetchAndUpdateBlocklist(), holdBlocklistUpdate()
+async function rewriteBlocklistFile(sourcePath, filePath, header) {
+  const tempPath = `${filePath}.tmp`;
+  try {
+    await writeBlocklistStream(tempPath, filePath.endsWith('.gz'), header, async writeEntry => {
+      const pending = [];
+      await readBlocklistEntries(sourcePath, item => pending.push(item), async () => {
+        for (const item of pending.splice(0)) {
+          await writeEntry(item);
+        }
+      });
+    });
+    fs.renameSync(tempPath, filePath);
+  } catch (err) {
+    fs.rmSync(tempPath, { force: true });
+    throw err;
+  }
+}
+
+// Moves an unparsable blocklist file to a .corrupt backup (keeping older backups) and reports it,
+// so its contents can be inspected or restored instead of being overwritten.
+// Returns the backup path, or null if the file couldn't be moved.
+// Linked to: validateBlocklistFile(), loadBlockedTTHs(), CORRUPT_SUFFIX
+function backupCorruptFile(socket, filePath, reason) {
+  let backupPath = `${filePath}${CORRUPT_SUFFIX}`;
+  if (fs.existsSync(backupPath)) {
+    backupPath = `${filePath}.${Date.now()}${CORRUPT_SUFFIX}`;
+  }
+  try {
+    fs.renameSync(filePath, backupPath);
+  } catch (err) {
+    console.error(`[TTH Block] Failed to back up corrupt blocklist ${filePath}: ${err.message}`);
+    return null;
+  }
+  console.error(`[TTH Block] Blocklist ${filePath} is corrupt (${reason}), moved to ${backupPath}`);
+  socket.post('events', {
+    text: `Blocklist ${path.basename(filePath)} is corrupt (${reason}) and was moved to ${path.basename(backupPath)}. Restore or delete it manually`,
+    severity: 'error'
+  });
+  return backupPath;
+}
+
+// Decodes a downloaded blocklist body stream chunk by chunk. Content-Encoding (gzip, deflate, br) is already undone by
+// node-fetch; bodies that are still compressed (.gz/.br URLs) are detected by their gzip magic bytes or URL suffix.
+// Brotli has no magic bytes, so a .br body is only decompressed if it wasn't served with Content-Encoding: br
+// and doesn't already start like a JSON object (a lone '{' or '[' is a common first byte of brotli data).
+// Yields the decoded chunks as Buffers.
+// Linked to: fetchAndUpdateBlocklist()
+async function* decodeBlocklistStream(body, url, contentEncoding) {
+  const iterator = body[Symbol.asyncIterator]();
+  // The first bytes decide the decoding; they are passed on with the rest of the body
+  let head = Buffer.alloc(0);
+  let next;
+  while (head.length < 64 && !(next = await iterator.next()).done) {
+    head = Buffer.concat([head, Buffer.from(next.value)]);
+  }
+  const ended = !!(next && next.done);
+  const source = Readable.from((async function* () {
+    if (head.length > 0) yield head;
+    while (!ended && !(next = await iterator.next()).done) {
+      yield Buffer.from(next.value);
+    }
+  })());
+  let decoded = source;
+  if (head.length > 2 && head[0] === 0x1f && head[1] === 0x8b) {
+    decoded = pipeline(source, zlib.createGunzip({ chunkSize: READ_CHUNK_SIZE }), () => {});
+  } else {
+    const decodedByServer = /\bbr\b/i.test(contentEncoding || '');
+    const looksLikeJSON = /^(\uFEFF)?\s*\{\s*["}]/.test(head.toString('utf-8'));
+    if (head.length > 0 && new URL(url).pathname.endsWith('.br') && !decodedByServer && !looksLikeJSON) {
+      decoded = pipeline(source, zlib.createBrotliDecompress({ chunkSize: READ_CHUNK_SIZE }), () => {});
+    }
+  }
+  for await (const chunk of decoded) {
+    yield Buffer.from(chunk);
+  }
+}
+
 // Validates a blocklist file’s JSON structure and initializes empty or invalid files.
+// Entries are streamed through readBlocklistEntries(), so large lists are never held in memory as a whole.
 // Ensures blocklists have a valid tths array and metadata (url, version, updated_at, description).
-// Resets invalid files to a default structure to prevent crashes.
+// Unparsable files are moved to a .corrupt backup instead of being reset (the internal blocklist is then recreated empty).
 // Linked to: getBlocklistFiles(), loadBlockedTTHs(), updateSingleBlocklist()
-function validateBlocklistFile(filePath, socket) {
+async function validateBlocklistFile(filePath, socket) {
   try {
-    const data = fs.readFileSync(filePath, 'utf-8');
-    if (data.trim() === '') {
+    const invalidRules = [];
+    let hasValidTTH = false;
+    const blocklist = await readBlocklistEntries(filePath, item => {
+      if (isBlocklistRule(item) && !compileBlocklistRule(item)) {
+        invalidRules.push(item);
+      } else if ((item.tth && isValidTTH(item.tth)) || compileBlocklistRule(item)) {
+        hasValidTTH = true;
+      }
+    });
+    if (!blocklist) {
       console.log(`[TTH Block] Blocklist ${filePath} is empty, initializing`);
       const defaultBlocklist = {
         url: filePath === INTERNAL_BLOCKLIST_FILE ? 'Internal' : null,
         version: filePath === INTERNAL_BLOCKLIST_FILE ? 'Internal' : '1.0.0',
         updated_at: new Date().toISOString(),
-        description: filePath === INTERNAL_BLOCKLIST_FILE ? 'Internal' : path.basename(filePath, '.json'),
+        description: filePath === INTERNAL_BLOCKLIST_FILE ? 'Internal' : getBlocklistBaseName(filePath),
         tths: []
       };
-      fs.writeFileSync(filePath, formatBlocklistJSON(defaultBlocklist), 'utf-8');
+      writeBlocklistText(filePath, formatBlocklistJSON(defaultBlocklist));
       socket.post('events', {
         text: `Blocklist ${path.basename(filePath)} was empty and has been initialized`,
         severity: 'info'
       });
       return { valid: true, url: defaultBlocklist.url, version: defaultBlocklist.version, updated_at: defaultBlocklist.updated_at, description: defaultBlocklist.description };
     }
-    const blocklist = JSON.parse(data);
+    if (invalidRules.length > 0) {
+      console.warn(`[TTH Block] Ignoring ${invalidRules.length} invalid rule(s) in ${filePath}`);
+      socket.post('events', {
+        text: `Ignoring ${invalidRules.length} invalid rule(s) in blocklist ${path.basename(filePath)}: ${invalidRules.map(item => item.pattern || JSON.stringify(item)).join(', ')}`,
+        severity: 'warning'
+      });
+    }
     if (!blocklist.url || blocklist.url === null || !isValidBlocklistURL(blocklist.url)) {
       console.log(`[TTH Block] Treating ${filePath} as local read-only blocklist (URL: ${blocklist.url || 'none'})`);
       return {
@@ -234,7 +1062,7 @@ function validateBlocklistFile(filePath, socket) {
         url: null,
         version: blocklist.version || '1.0.0',
         updated_at: blocklist.updated_at || new Date().toISOString(),
-        description: blocklist.description || path.basename(filePath, '.json')
+        description: blocklist.description || getBlocklistBaseName(filePath)
       };
     }
     if (!Array.isArray(blocklist.tths)) {
@@ -245,11 +1073,10 @@ function validateBlocklistFile(filePath, socket) {
       });
       return { valid: false, url: blocklist.url, version: blocklist.version || '1.0.0', updated_at: blocklist.updated_at || new Date().toISOString(), description: blocklist.description || '' };
     }
-    const hasValidTTH = blocklist.tths.some(item => item.tth && isValidTTH(item.tth));
-    if (!hasValidTTH && blocklist.tths.length > 0) {
-      console.error(`[TTH Block] No valid TTHs found in ${filePath}`);
+    if (!hasValidTTH && blocklist.count > 0) {
+      console.error(`[TTH Block] No valid TTHs or rules found in ${filePath}`);
       socket.post('events', {
-        text: `No valid TTHs found in blocklist ${path.basename(filePath)}`,
+        text: `No valid TTHs or rules found in blocklist ${path.basename(filePath)}`,
         severity: 'error'
       });
       return { valid: false, url: blocklist.url, version: blocklist.version || '1.0.0', updated_at: blocklist.updated_at || new Date().toISOString(), description: blocklist.description || '' };
@@ -259,29 +1086,29 @@ function validateBlocklistFile(filePath, socket) {
       url: blocklist.url,
       version: blocklist.version || '1.0.0',
       updated_at: blocklist.updated_at || new Date().toISOString(),
-      description: blocklist.description || path.basename(filePath, '.json')
+      description: blocklist.description || getBlocklistBaseName(filePath)
     };
   } catch (err) {
     console.error(`[TTH Block] Failed to validate blocklist ${filePath}: ${err.message}`);
-    socket.post('events', {
-      text: `Failed to validate blocklist ${path.basename(filePath)}: ${err.message}. Resetting to default`,
-      severity: 'error'
-    });
+    if (!backupCorruptFile(socket, filePath, err.message) || filePath !== INTERNAL_BLOCKLIST_FILE) {
+      return { valid: false, url: null, version: '1.0.0', updated_at: new Date().toISOString(), description: '' };
+    }
+    // The internal blocklist must stay writable, so it's recreated empty once its contents are backed up.
     const defaultBlocklist = {
-      url: filePath === INTERNAL_BLOCKLIST_FILE ? 'Internal' : null,
-      version: filePath === INTERNAL_BLOCKLIST_FILE ? 'Internal' : '1.0.0',
+      url: 'Internal',
+      version: 'Internal',
       updated_at: new Date().toISOString(),
-      description: filePath === INTERNAL_BLOCKLIST_FILE ? 'Internal' : path.basename(filePath, '.json'),
+      description: 'Internal',
       tths: []
     };
     try {
-      fs.writeFileSync(filePath, formatBlocklistJSON(defaultBlocklist), 'utf-8');
-      console.log(`[TTH Block] Reset ${filePath} to default structure`);
+      writeBlocklistText(filePath, formatBlocklistJSON(defaultBlocklist));
+      console.log(`[TTH Block] Recreated ${filePath} after backing up the corrupt copy`);
       return { valid: true, url: defaultBlocklist.url, version: defaultBlocklist.version, updated_at: defaultBlocklist.updated_at, description: defaultBlocklist.description };
     } catch (writeErr) {
-      console.error(`[TTH Block] Failed to reset blocklist ${filePath}: ${writeErr.message}`);
+      console.error(`[TTH Block] Failed to recreate blocklist ${filePath}: ${writeErr.message}`);
       socket.post('events', {
-        text: `Failed to reset blocklist ${path.basename(filePath)}: ${writeErr.message}`,
+        text: `Failed to recreate blocklist ${path.basename(filePath)}: ${writeErr.message}`,
         severity: 'error'
       });
       return { valid: false, url: null, version: '1.0.0', updated_at: new Date().toISOString(), description: '' };
@@ -293,20 +1120,18 @@ function validateBlocklistFile(filePath, socket) {
 // Populates blocklistFiles array with metadata for use in settings and TTH loading.
 // Returns an array to prevent `r.filter is not a function` errors seen in logs.
 // Linked to: validateBlocklistFile(), loadBlockedTTHs(), updateSettingsDefinitions()
-function getBlocklistFiles(socket) {
+async function getBlocklistFiles(socket) {
   try {
-    const files = fs.readdirSync(BLOCKLIST_DIR).filter(file => file.endsWith('.json'));
-    const blocklists = files
-      .map(file => {
-        const filePath = path.join(BLOCKLIST_DIR, file);
-        const { valid, url, version, updated_at, description } = validateBlocklistFile(filePath, socket);
-        if (valid) {
-          const stats = fs.statSync(filePath);
-          return { file, path: filePath, mtime: stats.mtimeMs, url, version, updated_at, description };
-        }
-        return null;
-      })
-      .filter(b => b !== null);
+    const files = fs.readdirSync(BLOCKLIST_DIR).filter(file => isBlocklistFilename(file) && file !== path.basename(ALLOWLIST_FILE));
+    const blocklists = [];
+    for (const file of files) {
+      const filePath = path.join(BLOCKLIST_DIR, file);
+      const { valid, url, version, updated_at, description } = await validateBlocklistFile(filePath, socket);
+      if (valid) {
+        const stats = fs.statSync(filePath);
+        blocklists.push({ file, path: filePath, mtime: stats.mtimeMs, url, version, updated_at, description });
+      }
+    }
     console.log(`[TTH Block] Found valid blocklist files: ${blocklists.map(b => b.file).join(', ') || 'none'}`);
     // Seen in logs: [TTH Block] Found valid blocklist files: internal_blocklist.json
     return blocklists;
@@ -321,25 +1146,148 @@ function getBlocklistFiles(socket) {
   }
 }
 
-// Updates AirDC++ settings UI with dynamic blocklist settings (enable/disable toggles and update interval).
-// Handles 409 conflicts by caching settings and falling back to minimal settings.
-// Linked to: module.exports(), loadBlockedTTHs(), watchBlocklistDir()
-async function updateSettingsDefinitions(socket, extension, localBlocklists, remoteBlocklists, settings) {
-  const SettingDefinitions = [
+// Returns the writable blocklists: internal_blocklist.json first, then the other lists with url 'Internal'
+// (created from the user_lists setting or placed manually).
+// Returns: [{ file, path, name }]
+// Linked to: addToBlocklist(), removeFromBlocklist(), pruneExpiredEntries(), getBlockMenuChildren()
+function getWritableBlocklists() {
+  const internalFile = path.basename(INTERNAL_BLOCKLIST_FILE);
+  return [
+    { file: internalFile, path: INTERNAL_BLOCKLIST_FILE, name: 'Internal blocklist' },
+    ...blocklistFiles
+      .filter(b => b.url === 'Internal' && b.file !== internalFile && b.file.endsWith('.json'))
+      .map(b => ({ file: b.file, path: b.path, name: b.description || getBlocklistBaseName(b.file) }))
+  ];
+}
+
+// Returns the type of a blocklist for logs and events: 'internal', 'writable', 'remote' or 'local read-only'.
+// Linked to: loadBlockedTTHs(), updateSingleBlocklist(), removeFromBlocklist()
+function getBlocklistType(file) {
+  if (file === path.basename(INTERNAL_BLOCKLIST_FILE)) return 'internal';
+  const blocklist = blocklistFiles.find(b => b.file === file);
+  if (blocklist && blocklist.url === 'Internal') return 'writable';
+  return blocklist && blocklist.url && isValidBlocklistURL(blocklist.url) ? 'remote' : 'local read-only';
+}
+
+// Builds the per-blocklist action setting definition, generated next to each blocklist_<file> toggle.
+// Linked to: updateSettingsDefinitions(), module.exports(), BLOCKLIST_ACTIONS
+function getBlocklistActionDefinition(file) {
+  return {
+    key: `blocklist_action_${file}`,
+    title: `Action for ${file}`,
+    default_value: 'reject',
+    type: 'string',
+    options: BLOCKLIST_ACTIONS
+  };
+}
+
+// Returns the configured action for a blocklist, defaulting to 'reject' when the setting isn't registered.
+// Linked to: getBlocklistActionDefinition(), queueBundleFileAddHook()
+function getBlocklistAction(settings, file) {
+  let action;
+  try {
+    action = settings.getValue(`blocklist_action_${file}`);
+  } catch (err) {
+    action = null;
+  }
+  return BLOCKLIST_ACTIONS.some(a => a.id === action) ? action : 'reject';
+}
+
+// Returns the strictest configured action among the given blocklist filenames.
+// Linked to: getBlocklistAction(), queueBundleFileAddHook(), purgeBlockedQueueFiles()
+function getStrictestAction(settings, files) {
+  const actionIndex = Math.max(...files.map(file => BLOCKLIST_ACTIONS.findIndex(a => a.id === getBlocklistAction(settings, file))));
+  return BLOCKLIST_ACTIONS[actionIndex].id;
+}
+
+// Builds the per-blocklist setting that controls whether the list is used to filter search results.
+// Linked to: updateSettingsDefinitions(), module.exports(), getSearchFilterMemberships()
+function getSearchFilterDefinition(file) {
+  return {
+    key: `search_filter_${file}`,
+    title: `Filter search results with ${file}`,
+    default_value: true,
+    type: 'boolean'
+  };
+}
+
+// Returns the memberships of a TTH in blocklists that are enabled as search filter sources.
+// Allowlisted TTHs are never filtered.
+// Linked to: getTTHMemberships(), getSearchFilterDefinition(), searchIncomingResultHook()
+function getSearchFilterMemberships(settings, tth) {
+  if (!tth || !blockedTTHSet.has(tth) || allowedTTHMap.has(tth)) {
+    return [];
+  }
+  return getTTHMemberships(tth).filter(({ file }) => {
+    try {
+      return settings.getValue(`search_filter_${file}`) !== false;
+    } catch (err) {
+      return true;
+    }
+  });
+}
+
+// Finds the search instance an incoming result belongs to, either directly from the hook data
+// or by matching the result's search token against the current search of each instance.
+// Linked to: searchIncomingResultHook()
+async function resolveSearchInstance(socket, data) {
+  if (data.instance_id || data.search_instance_id) {
+    return data.instance_id || data.search_instance_id;
+  }
+  const result = data.result || data;
+  const token = data.search_token || result.search_token;
+  if (token) {
+    try {
+      const instances = await socket.get('search/instances');
+      const instance = instances.find(i => i.current_search_id === token);
+      if (instance) {
+        return instance.id;
+      }
+    } catch (err) {
+      console.warn(`[TTH Block] Failed to resolve search instance for token ${token}: ${err.message}`);
+    }
+  }
+  return null;
+}
+
+// Counts a suppressed search result for its search instance and reports the total once results stop arriving.
+// Linked to: suppressedSearchResults, searchIncomingResultHook()
+function recordSuppressedSearchResult(socket, instanceId, lists, mode) {
+  const key = instanceId || 'unknown';
+  const entry = suppressedSearchResults.get(key) || { count: 0, lists: new Set(), timeout: null };
+  entry.count++;
+  lists.forEach(file => entry.lists.add(file));
+  clearTimeout(entry.timeout);
+  entry.timeout = setTimeout(() => {
+    suppressedSearchResults.delete(key);
+    socket.post('events', {
+      text: `${mode === 'flag' ? 'Flagged' : 'Hid'} ${entry.count} search result(s) with blocked TTHs in search instance ${key} (blocklists: ${[...entry.lists].join(', ')})`,
+      severity: 'info'
+    });
+  }, SEARCH_REPORT_DELAY);
+  suppressedSearchResults.set(key, entry);
+}
+
+// Returns the setting definitions for the given blocklists: global settings plus enable toggle, action and search filter per list.
+// Linked to: updateSettingsDefinitions(), module.exports()
+function getSettingsDefinitions(localBlocklists, remoteBlocklists) {
+  return [
     {
       key: 'internal_block_list',
       title: 'Internal blocklist',
       default_value: true,
       type: 'boolean'
     },
+    getBlocklistActionDefinition(path.basename(INTERNAL_BLOCKLIST_FILE)),
+    getSearchFilterDefinition(path.basename(INTERNAL_BLOCKLIST_FILE)),
     ...localBlocklists
       .filter(blocklist => blocklist.file !== path.basename(INTERNAL_BLOCKLIST_FILE))
-      .map(blocklist => ({
+      .reduce((definitions, blocklist) => [...definitions, {
         key: `blocklist_${blocklist.file}`,
-        title: `Local: ${blocklist.file}`,
+        title: blocklist.url === 'Internal' ? `Writable blocklist: ${blocklist.description || blocklist.file}` : `Local: ${blocklist.file}`,
         default_value: true,
         type: 'boolean'
-      })),
+      }, getBlocklistActionDefinition(blocklist.file), getSearchFilterDefinition(blocklist.file)], []),
     {
       key: 'update_interval',
       title: 'Update interval for remote blocklists (minutes)',
@@ -347,114 +1295,374 @@ async function updateSettingsDefinitions(socket, extension, localBlocklists, rem
       type: 'number',
       min: 1
     },
-    ...remoteBlocklists.map(blocklist => ({
+    QUEUE_PURGE_DEFINITION,
+    SEARCH_FILTER_MODE_DEFINITION,
+    QUARANTINE_DIRECTORY_DEFINITION,
+    BLOCK_SHARING_DEFINITION,
+    SUBSCRIPTIONS_DEFINITION,
+    USER_LISTS_DEFINITION,
+    MAX_SHRINK_DEFINITION,
+    ...remoteBlocklists.reduce((definitions, blocklist) => [...definitions, {
       key: `blocklist_${blocklist.file}`,
       title: `Remote: ${blocklist.file}${blocklist.description ? ` (${blocklist.description})` : ''}`,
       default_value: true,
       type: 'boolean'
-    }))
+    }, getBlocklistActionDefinition(blocklist.file), getSearchFilterDefinition(blocklist.file)], [])
   ];
-  console.log(`[TTH Block] Proposed settings definitions:`, JSON.stringify(SettingDefinitions, null, 2));
-  // Logs settings for debugging, seen in output.log.
+}
 
-  const cacheFile = path.join(extension.configPath, 'settings_cache.json');
-  // Cache file to prevent redundant settings updates.
-  let lastAttemptedSettings = null;
-  try {
-    if (fs.existsSync(cacheFile)) {
-      lastAttemptedSettings = JSON.parse(fs.readFileSync(cacheFile, 'utf-8'));
-    }
-  } catch (err) {
-    console.warn(`[TTH Block] Failed to read settings cache: ${err.message}`);
+// Replaces the registered setting definitions when blocklists appear or disappear, without a 409 conflict.
+// The API only accepts new definitions once the old ones are removed, and removing them resets the values, so the
+// current non-default values are patched back afterwards and verified. Values of removed per-blocklist settings are kept
+// in retainedSettingValues and restored if the list comes back.
+// Linked to: getSettingsDefinitions(), saveRetainedSettings(), loadBlockedTTHs(), watchBlocklistDir()
+async function updateSettingsDefinitions(socket, extension, localBlocklists, remoteBlocklists, settings) {
+  const definitions = getSettingsDefinitions(localBlocklists, remoteBlocklists);
+  if (JSON.stringify(definitions) === JSON.stringify(settingDefinitions)) {
+    console.log(`[TTH Block] Settings definitions unchanged, skipping update`);
+    return;
   }
+  const values = settings && typeof settings.getValues === 'function' ? settings.getValues() : {};
+  const removedDefinitions = settingDefinitions.filter(definition => !definitions.some(d => d.key === definition.key));
+  const addedDefinitions = definitions.filter(definition => !settingDefinitions.some(d => d.key === definition.key));
+
+  settingDefinitionsUpdating = true;
+  try {
+    await replaceSettingsDefinitions(socket, extension, localBlocklists, remoteBlocklists, definitions, values, removedDefinitions, addedDefinitions);
+  } finally {
+    settingDefinitionsUpdating = false;
+  }
+}
 
+// Registers the new definitions and patches the values back, see updateSettingsDefinitions().
+// Linked to: updateSettingsDefinitions(), saveRetainedSettings()
+async function replaceSettingsDefinitions(socket, extension, localBlocklists, remoteBlocklists, definitions, values, removedDefinitions, addedDefinitions) {
+  const isDefault = (definition, value) => JSON.stringify(value) === JSON.stringify(definition.default_value);
   try {
     const existingDefinitions = await socket.get(`extensions/${extension.name}/settings/definitions`) || [];
-    console.log(`[TTH Block] Existing settings definitions:`, JSON.stringify(existingDefinitions, null, 2));
-    
-    if (JSON.stringify(existingDefinitions) === JSON.stringify(SettingDefinitions)) {
-      console.log(`[TTH Block] Settings definitions match existing, skipping update`);
-      fs.writeFileSync(cacheFile, JSON.stringify(SettingDefinitions, null, 2), 'utf-8');
-      return;
+    if (existingDefinitions.length > 0) {
+      await socket.delete(`extensions/${extension.name}/settings/definitions`);
     }
-    if (lastAttemptedSettings && JSON.stringify(lastAttemptedSettings) === JSON.stringify(SettingDefinitions)) {
-      console.log(`[TTH Block] Settings definitions match last attempt, skipping update`);
-      return;
+    await socket.post(`extensions/${extension.name}/settings/definitions`, definitions);
+  } catch (err) {
+    console.error(`[TTH Block] Failed to update settings definitions: ${err.message}`);
+    await socket.post('events', {
+      text: `Failed to update blocklist settings: ${err.message}. Settings of new blocklists use their defaults until the next successful update`,
+      severity: 'error'
+    });
+    return;
+  }
+
+  removedDefinitions.forEach(definition => {
+    if (values[definition.key] !== undefined && !isDefault(definition, values[definition.key])) {
+      retainedSettingValues[definition.key] = values[definition.key];
+    }
+    delete knownSettingValues[definition.key];
+  });
+  // Also retries values whose restore failed earlier (their list still exists, see below)
+  const restoredKeys = definitions.filter(definition => retainedSettingValues[definition.key] !== undefined).map(definition => definition.key);
+  const newValues = {};
+  definitions.forEach(definition => {
+    const value = restoredKeys.includes(definition.key) ? retainedSettingValues[definition.key] : values[definition.key];
+    if (value !== undefined && !isDefault(definition, value)) {
+      newValues[definition.key] = value;
     }
+  });
+  settingDefinitions.splice(0, settingDefinitions.length, ...definitions);
 
-    console.log(`[TTH Block] Settings definitions differ, attempting update`);
-    try {
-      await socket.post(`extensions/${extension.name}/settings/definitions`, SettingDefinitions);
-      console.log(`[TTH Block] Updated settings definitions with ${localBlocklists.length} local and ${remoteBlocklists.length} remote blocklists`);
-      await socket.post('events', {
-        text: `Updated settings with blocklists: ${[...localBlocklists, ...remoteBlocklists].map(b => b.file).join(', ')}`,
-        severity: 'info'
-      });
-      // Seen in logs: [8/27/2025 2:49:25 PM:121] Updated settings with blocklists: internal_blocklist.json
-      fs.writeFileSync(cacheFile, JSON.stringify(SettingDefinitions, null, 2), 'utf-8');
-      await settings.save();
-      console.log(`[TTH Block] Forced settings reload via SettingsManager.save()`);
-    } catch (postErr) {
-      if (postErr.message.includes('409') || postErr.message.includes('Setting definitions exist')) {
-        console.warn(`[TTH Block] 409 conflict detected, using existing settings and caching attempt`);
-        fs.writeFileSync(cacheFile, JSON.stringify(SettingDefinitions, null, 2), 'utf-8');
-        if (!fs.existsSync(path.join(extension.configPath, 'conflict_notified'))) {
-          await new Promise(resolve => setTimeout(resolve, 1000));
-          // Delay to ensure socket authentication, addressing auth errors from 1.20.51.
-          try {
-            await socket.post('events', {
-              text: `Failed to update blocklist settings (409 conflict). Please uninstall and reinstall the TTH Blocker Extension in Settings > Extensions to reset settings.`,
-              severity: 'error'
-            });
-            fs.writeFileSync(path.join(extension.configPath, 'conflict_notified'), '1', 'utf-8');
-          } catch (authErr) {
-            console.error(`[TTH Block] Failed to post 409 conflict event: ${authErr.message}`);
-          }
-        }
-        const minimalSettings = [
-          {
-            key: 'internal_block_list',
-            title: 'Internal blocklist',
-            default_value: true,
-            type: 'boolean'
-          },
-          {
-            key: 'update_interval',
-            title: 'Update interval for remote blocklists (minutes)',
-            default_value: 60,
-            type: 'number',
-            min: 1
-          }
-        ];
-        try {
-          await socket.post(`extensions/${extension.name}/settings/definitions`, minimalSettings);
-          await settings.save();
-          console.log(`[TTH Block] Applied minimal settings as fallback`);
-        } catch (minimalErr) {
-          console.error(`[TTH Block] Failed to apply minimal settings: ${minimalErr.message}`);
-        }
-      } else {
-        throw postErr;
+  // Values are only dropped from the retained store once the API reports them back
+  try {
+    if (Object.keys(newValues).length > 0) {
+      await socket.patch(`extensions/${extension.name}/settings`, newValues);
+      const storedValues = await socket.get(`extensions/${extension.name}/settings`) || {};
+      const lostKeys = Object.keys(newValues).filter(key => JSON.stringify(storedValues[key]) !== JSON.stringify(newValues[key]));
+      if (lostKeys.length > 0) {
+        throw new Error(`values of ${lostKeys.join(', ')} were not stored`);
       }
     }
+    restoredKeys.forEach(key => delete retainedSettingValues[key]);
   } catch (err) {
-    console.error(`[TTH Block] Failed to update settings definitions: ${err.message}`);
-    await new Promise(resolve => setTimeout(resolve, 1000));
-    try {
-      await socket.post('events', {
-        text: `Failed to update settings definitions: ${err.message}. Please uninstall and reinstall the extension to reset settings.`,
-        severity: 'error'
-      });
-    } catch (authErr) {
-      console.error(`[TTH Block] Failed to post error event: ${authErr.message}`);
+    console.error(`[TTH Block] Failed to restore setting values: ${err.message}`);
+    Object.assign(retainedSettingValues, newValues);
+    await socket.post('events', {
+      text: `Failed to restore blocklist setting values after updating the settings: ${err.message}. The values are kept in ${RETAINED_SETTINGS_FILE} and restored with the next settings update`,
+      severity: 'error'
+    });
+  }
+  saveRetainedSettings();
+  console.log(`[TTH Block] Updated settings definitions with ${localBlocklists.length} local and ${remoteBlocklists.length} remote blocklists (added: ${addedDefinitions.length}, removed: ${removedDefinitions.length}, restored values: ${restoredKeys.join(', ') || 'none'})`);
+  await socket.post('events', {
+    text: `Updated settings with blocklists: ${[...localBlocklists, ...remoteBlocklists].map(b => b.file).join(', ')}${restoredKeys.length > 0 ? ` (restored previous settings: ${restoredKeys.join(', ')})` : ''}`,
+    severity: 'info'
+  });
+  // Seen in logs: [8/27/2025 2:49:25 PM:121] Updated settings with blocklists: internal_blocklist.json
+}
+
+// Loads retainedSettingValues from the extension's settings directory.
+// Linked to: RETAINED_SETTINGS_FILE, saveRetainedSettings(), module.exports()
+function loadRetainedSettings(extension) {
+  retainedSettingsPath = path.join(extension.configPath, RETAINED_SETTINGS_FILE);
+  try {
+    if (fs.existsSync(retainedSettingsPath)) {
+      retainedSettingValues = JSON.parse(fs.readFileSync(retainedSettingsPath, 'utf-8')) || {};
+    }
+  } catch (err) {
+    console.warn(`[TTH Block] Failed to read retained settings, starting empty: ${err.message}`);
+    retainedSettingValues = {};
+  }
+}
+
+// Writes retainedSettingValues to RETAINED_SETTINGS_FILE.
+// Linked to: loadRetainedSettings(), updateSettingsDefinitions()
+function saveRetainedSettings() {
+  if (!retainedSettingsPath) return;
+  try {
+    fs.writeFileSync(retainedSettingsPath, JSON.stringify(retainedSettingValues, null, 2), 'utf-8');
+  } catch (err) {
+    console.error(`[TTH Block] Failed to save retained settings: ${err.message}`);
+  }
+}
+
+// Upgrades setting values stored with an older CONFIG_VERSION by running the pending CONFIG_MIGRATIONS in order.
+// Also passed to SettingsManager.load() as its migration handler.
+// Example: migrateSettings(1, { 'blocklist_subscription_a_1234abcd.json': false }) -> { 'blocklist_subscription_a_1234abcd.json.gz': false }
+// Linked to: CONFIG_MIGRATIONS, readConfigFile()
+function migrateSettings(fromVersion, values) {
+  const version = Number(fromVersion) || 0;
+  if (version > CONFIG_VERSION) {
+    console.warn(`[TTH Block] Settings were saved by a newer version (config version ${version}, supported: ${CONFIG_VERSION}), using them as they are`);
+    return { ...values };
+  }
+  return CONFIG_MIGRATIONS
+    .filter(migration => migration.version > version)
+    .reduce((migrated, migration) => {
+      console.log(`[TTH Block] Migrating settings to config version ${migration.version}: ${migration.description}`);
+      return migration.migrate(migrated);
+    }, { ...(values || {}) });
+}
+
+// Reads config.json, creating it if missing, empty or unparsable (the latter is kept as a .corrupt backup), and migrates
+// it to CONFIG_VERSION. Returns the setting values.
+// Linked to: migrateSettings(), module.exports()
+function readConfigFile(socket, configFile) {
+  const writeConfig = values => fs.writeFileSync(configFile, JSON.stringify({ version: CONFIG_VERSION, settings: values }, null, 2), 'utf-8');
+  if (!fs.existsSync(configFile)) {
+    console.log(`[TTH Block] Config file ${configFile} not found, creating with defaults`);
+    writeConfig({});
+    socket.post('events', {
+      text: `Config file not found, created default`,
+      severity: 'info'
+    });
+    return {};
+  }
+  const data = fs.readFileSync(configFile, 'utf-8');
+  if (data.trim() === '') {
+    console.warn(`[TTH Block] Config file ${configFile} is empty, recreating with defaults`);
+    writeConfig({});
+    socket.post('events', {
+      text: `Config file was empty and has been initialized`,
+      severity: 'info'
+    });
+    return {};
+  }
+  let config;
+  try {
+    config = JSON.parse(data);
+  } catch (err) {
+    console.error(`[TTH Block] Invalid JSON in config file ${configFile}: ${err.message}, recreating with defaults`);
+    fs.renameSync(configFile, `${configFile}${CORRUPT_SUFFIX}`);
+    writeConfig({});
+    socket.post('events', {
+      text: `Invalid JSON in config file, reset to default (the old file was kept as ${path.basename(configFile)}${CORRUPT_SUFFIX})`,
+      severity: 'error'
+    });
+    return {};
+  }
+  // Versions before CONFIG_VERSION 1 stored the values directly
+  const isVersioned = config && typeof config === 'object' && config.version !== undefined && config.settings !== undefined;
+  const version = isVersioned ? config.version : 0;
+  const values = isVersioned ? config.settings : config;
+  if (version === CONFIG_VERSION) {
+    return values;
+  }
+  const migrated = migrateSettings(version, values);
+  writeConfig(migrated);
+  console.log(`[TTH Block] Migrated config file ${configFile} from version ${version} to ${CONFIG_VERSION}`);
+  socket.post('events', {
+    text: `Migrated extension settings from config version ${version} to ${CONFIG_VERSION}`,
+    severity: 'info'
+  });
+  return migrated;
+}
+
+// Adds a single blocklist entry: TTHs go into the list's TTHSet (and their comment/metadata into blocklistDetailsMap),
+// pattern rules are compiled into blocklistRuleMap. Called per entry while streaming a blocklist file.
+// Linked to: indexBlocklistEntries(), readBlocklistEntries(), compileBlocklistRule()
+function indexBlocklistEntry(file, item) {
+  let tthSet = blocklistTTHMap.get(file);
+  if (!tthSet) {
+    tthSet = new TTHSet();
+    blocklistTTHMap.set(file, tthSet);
+  }
+  if (!item || typeof item !== 'object') {
+    return tthSet;
+  }
+  if (isBlocklistRule(item)) {
+    const rule = compileBlocklistRule(item);
+    if (rule) {
+      const rules = blocklistRuleMap.get(file) || [];
+      rules.push(rule);
+      blocklistRuleMap.set(file, rules);
+    }
+  } else if (item.tth && isValidTTH(item.tth)) {
+    tthSet.add(item.tth);
+    mergedTTHSet.add(item.tth);
+    const expiresAt = parseExpiry(item.expires_at);
+    let expiries = blocklistExpiryMap.get(file);
+    if (expiresAt !== null) {
+      if (!expiries) {
+        expiries = new Map();
+        blocklistExpiryMap.set(file, expiries);
+      }
+      expiries.set(item.tth, expiresAt);
+    } else if (expiries) {
+      expiries.delete(item.tth);
+    }
+    const details = {};
+    if (item.comment) details.comment = item.comment;
+    ENTRY_METADATA_FIELDS.forEach(field => {
+      if (item[field] !== undefined && item[field] !== null && item[field] !== '') {
+        details[field] = item[field];
+      }
+    });
+    let detailsMap = blocklistDetailsMap.get(file);
+    if (Object.keys(details).length > 0) {
+      if (!detailsMap) {
+        detailsMap = new Map();
+        blocklistDetailsMap.set(file, detailsMap);
+      }
+      if (detailsMap.size < ENTRY_DETAILS_LIMIT || detailsMap.has(item.tth)) {
+        detailsMap.set(item.tth, details);
+      }
+    } else if (detailsMap) {
+      detailsMap.delete(item.tth);
+    }
+  }
+  return tthSet;
+}
+
+// Adds the entries of a blocklist to blocklistTTHMap, blocklistDetailsMap and blocklistRuleMap.
+// Returns the TTHSet owned by the blocklist.
+// Linked to: indexBlocklistEntry(), addToBlocklist(), applyBlocklistDelta()
+function indexBlocklistEntries(file, entries) {
+  let tthSet = blocklistTTHMap.get(file) || null;
+  entries.forEach(item => {
+    tthSet = indexBlocklistEntry(file, item);
+  });
+  return tthSet || indexBlocklistEntry(file, null);
+}
+
+// Removes the given TTHs of a blocklist from the index (all of its TTHs and rules by default).
+// TTHs stay blocked while another loaded blocklist contains them; a fully unloaded list's TTHSet is left intact
+// so callers can still compare against it.
+// Returns the number of TTHs that became unblocked.
+// Linked to: updateSingleBlocklist(), removeFromBlocklist()
+function unindexBlocklist(file, tths = null) {
+  const tthSet = blocklistTTHMap.get(file);
+  if (!tthSet) {
+    return 0;
+  }
+  const detailsMap = blocklistDetailsMap.get(file);
+  const expiries = blocklistExpiryMap.get(file);
+  let unblocked = 0;
+  // Drops a TTH from mergedTTHSet once no loaded list (including expired entries) contains it anymore
+  const releaseTTH = tth => {
+    for (const otherSet of blocklistTTHMap.values()) {
+      if (otherSet.has(tth)) return;
+    }
+    mergedTTHSet.delete(tth);
+  };
+  if (!tths) {
+    blocklistTTHMap.delete(file);
+    blocklistDetailsMap.delete(file);
+    blocklistExpiryMap.delete(file);
+    blocklistRuleMap.delete(file);
+    for (const tth of tthSet) {
+      releaseTTH(tth);
+      if (!blockedTTHSet.has(tth)) unblocked++;
+    }
+    return unblocked;
+  }
+  tths.forEach(tth => {
+    if (tthSet.delete(tth)) {
+      releaseTTH(tth);
+      if (!blockedTTHSet.has(tth)) unblocked++;
+    }
+    if (detailsMap) detailsMap.delete(tth);
+    if (expiries) expiries.delete(tth);
+  });
+  return unblocked;
+}
+
+// Returns the blocklists containing a TTH as [{ file, comment, ...metadata }], ignoring expired entries.
+// Linked to: removeFromBlocklist(), queueBundleFileAddHook()
+function getTTHMemberships(tth) {
+  const memberships = [];
+  for (const [file, tthSet] of blocklistTTHMap) {
+    if (tthSet.has(tth) && !isEntryExpired(file, tth)) {
+      const detailsMap = blocklistDetailsMap.get(file);
+      memberships.push({ file, comment: '', ...(detailsMap && detailsMap.get(tth)) });
     }
   }
+  return memberships;
+}
+
+// Streams the entries of a blocklist file into onEntry without parsing the whole document at once.
+// The file is read in READ_CHUNK_SIZE chunks; .json.gz files are decompressed incrementally on the way to the parser,
+// so neither the compressed nor the decompressed document is ever held in memory as a whole.
+// Returns (a promise of) the document without its entries ({ url, version, ..., tths: [] }), or null if the file is empty.
+// The optional onChunk is awaited after the entries of each chunk, e.g. to write them out before reading on.
+// Linked to: BlocklistParser, validateBlocklistFile(), loadBlockedTTHs(), updateSingleBlocklist(), applyBlocklistDelta()
+async function readBlocklistEntries(filePath, onEntry, onChunk = null) {
+  const parser = new BlocklistParser(onEntry);
+  const decoder = new StringDecoder('utf8');
+  const input = fs.createReadStream(filePath, { highWaterMark: READ_CHUNK_SIZE });
+  // An empty .json.gz isn't valid gzip, but is treated like an empty .json file
+  const chunks = filePath.endsWith('.gz') && fs.statSync(filePath).size > 0 ?
+    pipeline(input, zlib.createGunzip({ chunkSize: READ_CHUNK_SIZE }), () => {}) :
+    input;
+  for await (const chunk of chunks) {
+    parser.write(decoder.write(chunk));
+    if (onChunk) await onChunk();
+  }
+  parser.write(decoder.end());
+  const header = parser.end();
+  if (onChunk) await onChunk();
+  if (header) header.count = parser.count;
+  return header;
+}
+
+// Formats a blocklist membership for events, including the reason and captured metadata.
+// Example: internal_blocklist.json ("fake release"; name: a.mkv, size: 1024, source: nick @ Hub, added from search)
+// Linked to: getTTHMemberships(), queueBundleFileAddHook(), shareFileValidationHook()
+function describeMembership(membership) {
+  const details = [];
+  if (membership.name) details.push(`name: ${membership.name}`);
+  if (membership.size !== undefined) details.push(`size: ${membership.size}`);
+  if (membership.source_user || membership.source_hub) {
+    details.push(`source: ${[membership.source_user, membership.source_hub].filter(value => value).join(' @ ')}`);
+  }
+  if (membership.added_from) details.push(`added from ${membership.added_from}`);
+  if (membership.expires_at) details.push(`expires ${membership.expires_at}`);
+  const comment = membership.comment ? `"${membership.comment}"` : '';
+  const summary = [comment, details.join(', ')].filter(part => part).join('; ');
+  return `${membership.file}${summary ? ` (${summary})` : ''}`;
 }
 
 // Loads TTHs from enabled blocklists into blockedTTHSet for download blocking.
 // Validates settings and blocklist formats, initializing or resetting invalid files.
 // Linked to: validateBlocklistFile(), updateSingleBlocklist(), addToBlocklist()
-function loadBlockedTTHs(socket, settings) {
+async function loadBlockedTTHs(socket, settings) {
   if (!settings || typeof settings.getValue !== 'function') {
     console.error(`[TTH Block] Settings object is invalid, skipping blocklist load`);
     socket.post('events', {
@@ -464,9 +1672,13 @@ function loadBlockedTTHs(socket, settings) {
     return;
   }
 
-  blockedTTHSet.clear();
   blocklistTTHMap.clear();
+  mergedTTHSet.clear();
+  blocklistDetailsMap.clear();
+  blocklistExpiryMap.clear();
+  blocklistRuleMap.clear();
   blocklistVersions.clear();
+  blocklistHeaders.clear();
 
   if (settings.getValue('internal_block_list')) {
     try {
@@ -481,7 +1693,7 @@ function loadBlockedTTHs(socket, settings) {
             description: 'Internal',
             tths: []
           };
-          fs.writeFileSync(INTERNAL_BLOCKLIST_FILE, formatBlocklistJSON(defaultBlocklist), 'utf-8');
+          writeBlocklistText(INTERNAL_BLOCKLIST_FILE, formatBlocklistJSON(defaultBlocklist));
           socket.post('events', {
             text: `Internal blocklist was empty and has been initialized`,
             severity: 'info'
@@ -489,16 +1701,9 @@ function loadBlockedTTHs(socket, settings) {
         } else {
           const blocklist = JSON.parse(data);
           if (blocklist.url === 'Internal' && Array.isArray(blocklist.tths)) {
-            const tthSet = new Set();
-            blocklist.tths.forEach(item => {
-              if (item.tth && isValidTTH(item.tth)) {
-                blockedTTHSet.add(item.tth);
-                tthSet.add(item.tth);
-              }
-            });
-            blocklistTTHMap.set(path.basename(INTERNAL_BLOCKLIST_FILE), tthSet);
+            const tthSet = indexBlocklistEntries(path.basename(INTERNAL_BLOCKLIST_FILE), blocklist.tths);
             blocklistVersions.set(path.basename(INTERNAL_BLOCKLIST_FILE), blocklist.version || blocklist.updated_at || null);
-            console.log(`[TTH Block] Loaded ${tthSet.size} TTH(s) from internal blocklist ${INTERNAL_BLOCKLIST_FILE} (description: ${blocklist.description || 'none'})`);
+            console.log(`[TTH Block] Loaded ${tthSet.size} TTH(s) and ${(blocklistRuleMap.get(path.basename(INTERNAL_BLOCKLIST_FILE)) || []).length} rule(s) from internal blocklist ${INTERNAL_BLOCKLIST_FILE} (description: ${blocklist.description || 'none'})`);
             // Seen in logs: [TTH Block] Loaded 0 TTH(s) from internal blocklist internal_blocklist.json
           } else {
             console.warn(`[TTH Block] Invalid format in ${INTERNAL_BLOCKLIST_FILE}, initializing`);
@@ -509,11 +1714,9 @@ function loadBlockedTTHs(socket, settings) {
               description: 'Internal',
               tths: []
             };
-            fs.writeFileSync(INTERNAL_BLOCKLIST_FILE, formatBlocklistJSON(defaultBlocklist), 'utf-8');
-            socket.post('events', {
-              text: `Invalid format in internal blocklist, reset to default`,
-              severity: 'error'
-            });
+            if (backupCorruptFile(socket, INTERNAL_BLOCKLIST_FILE, 'invalid format')) {
+              writeBlocklistText(INTERNAL_BLOCKLIST_FILE, formatBlocklistJSON(defaultBlocklist));
+            }
           }
         }
       } else {
@@ -525,7 +1728,7 @@ function loadBlockedTTHs(socket, settings) {
           description: 'Internal',
           tths: []
         };
-        fs.writeFileSync(INTERNAL_BLOCKLIST_FILE, formatBlocklistJSON(defaultBlocklist), 'utf-8');
+        writeBlocklistText(INTERNAL_BLOCKLIST_FILE, formatBlocklistJSON(defaultBlocklist));
         socket.post('events', {
           text: `Internal blocklist not found, created default`,
           severity: 'info'
@@ -542,8 +1745,8 @@ function loadBlockedTTHs(socket, settings) {
     console.log(`[TTH Block] Internal blocklist disabled in settings, skipping load`);
   }
 
-  blocklistFiles.forEach(blocklist => {
-    if (blocklist.file === path.basename(INTERNAL_BLOCKLIST_FILE)) return;
+  for (const blocklist of blocklistFiles) {
+    if (blocklist.file === path.basename(INTERNAL_BLOCKLIST_FILE)) continue;
     const settingKey = `blocklist_${blocklist.file}`;
     let settingValue;
     try {
@@ -554,25 +1757,20 @@ function loadBlockedTTHs(socket, settings) {
     }
     if (settingValue) {
       try {
-        const data = fs.readFileSync(blocklist.path, 'utf-8');
-        if (data.trim() === '') {
+        const startTime = Date.now();
+        const blocklistData = await readBlocklistEntries(blocklist.path, item => indexBlocklistEntry(blocklist.file, item));
+        if (!blocklistData) {
           console.log(`[TTH Block] Blocklist ${blocklist.file} is empty, skipping`);
-          return;
+          continue;
         }
-        const blocklistData = JSON.parse(data);
         if (Array.isArray(blocklistData.tths)) {
-          const tthSet = new Set();
-          blocklistData.tths.forEach(item => {
-            if (item.tth && isValidTTH(item.tth)) {
-              blockedTTHSet.add(item.tth);
-              tthSet.add(item.tth);
-            }
-          });
-          blocklistTTHMap.set(blocklist.file, tthSet);
+          const tthSet = indexBlocklistEntry(blocklist.file, null);
           blocklistVersions.set(blocklist.file, blocklistData.version || blocklistData.updated_at || null);
-          const type = blocklist.url && isValidBlocklistURL(blocklist.url) && blocklist.url !== 'Internal' ? 'remote' : 'local read-only';
-          console.log(`[TTH Block] Loaded ${tthSet.size} TTH(s) from ${type} blocklist ${blocklist.file} (version: ${blocklistData.version || 'none'}, description: ${blocklistData.description || 'none'})`);
+          blocklistHeaders.set(blocklist.file, blocklistData);
+          const type = getBlocklistType(blocklist.file);
+          console.log(`[TTH Block] Loaded ${tthSet.size} TTH(s) and ${(blocklistRuleMap.get(blocklist.file) || []).length} rule(s) from ${type} blocklist ${blocklist.file} in ${Date.now() - startTime}ms (version: ${blocklistData.version || 'none'}, description: ${blocklistData.description || 'none'}, memory: ${Math.round(tthSet.byteLength / 1024)} KiB)`);
         } else {
+          unindexBlocklist(blocklist.file);
           console.error(`[TTH Block] Invalid format in ${blocklist.file}, skipping`);
           socket.post('events', {
             text: `Invalid format in blocklist ${blocklist.file}: 'tths' is not an array`,
@@ -589,13 +1787,15 @@ function loadBlockedTTHs(socket, settings) {
     } else {
       console.log(`[TTH Block] Blocklist ${blocklist.file} disabled in settings, skipping load`);
     }
-  });
+  }
 }
 
 // Updates a single blocklist file’s TTHs in blockedTTHSet, checking for changes via mtime.
 // Used for both manual file changes and remote updates to ensure TTHs are reloaded correctly.
-// Linked to: watchBlocklistDir(), fetchAndUpdateBlocklist()
-async function updateSingleBlocklist(socket, settings, filename, isFetchUpdate = false) {
+// TTHs that are also contained in other enabled blocklists stay blocked while the list is unloaded.
+// Pass force to reload regardless of mtime (e.g. when the list is enabled or disabled in settings).
+// Linked to: watchBlocklistDir(), fetchAndUpdateBlocklist(), unindexBlocklist()
+async function updateSingleBlocklist(socket, settings, filename, isFetchUpdate = false, force = false) {
   const blocklist = blocklistFiles.find(b => b.file === filename);
   if (!blocklist) {
     console.log(`[TTH Block] Blocklist ${filename} not found in blocklistFiles, treating as new`);
@@ -603,18 +1803,18 @@ async function updateSingleBlocklist(socket, settings, filename, isFetchUpdate =
   }
   const filePath = blocklist.path;
   const stats = fs.statSync(filePath);
-  if (lastUpdateWriteTime.get(filename) === stats.mtimeMs) {
+  if (!force && lastUpdateWriteTime.get(filename) === stats.mtimeMs) {
     console.log(`[TTH Block] Skipping reload for ${filename}: no change since last update (mtime: ${stats.mtimeMs})`);
     return false;
   }
   lastUpdateWriteTime.set(filename, stats.mtimeMs);
 
-  const oldTTHs = blocklistTTHMap.get(filename) || new Set();
-  oldTTHs.forEach(tth => blockedTTHSet.delete(tth));
-  blocklistTTHMap.delete(filename);
-  console.log(`[TTH Block] Unloaded ${oldTTHs.size} TTH(s) from ${filename}`);
+  const oldTTHs = blocklistTTHMap.get(filename) || new TTHSet();
+  const unblocked = unindexBlocklist(filename);
+  blocklistHeaders.delete(filename);
+  console.log(`[TTH Block] Unloaded ${oldTTHs.size} TTH(s) from ${filename} (${unblocked} no longer blocked by any other blocklist)`);
 
-  const settingKey = filename === path.basename(INTERNAL_BLOCKLIST_FILE) ? 'internal_block_list' : `blocklist_${filename}`;
+  const settingKey = getBlocklistEnabledKey(filename);
   let settingValue;
   try {
     settingValue = settings.getValue(settingKey);
@@ -623,21 +1823,21 @@ async function updateSingleBlocklist(socket, settings, filename, isFetchUpdate =
     settingValue = true;
   }
   if (settingValue) {
-    if (validateBlocklistFile(filePath, socket).valid) {
+    if ((await validateBlocklistFile(filePath, socket)).valid) {
       try {
-        const data = fs.readFileSync(filePath, 'utf-8');
-        const blocklistData = JSON.parse(data);
-        const tthSet = new Set();
-        blocklistData.tths.forEach(item => {
-          if (item.tth && isValidTTH(item.tth)) {
-            blockedTTHSet.add(item.tth);
-            tthSet.add(item.tth);
-          }
-        });
-        blocklistTTHMap.set(filename, tthSet);
+        const blocklistData = await readBlocklistEntries(filePath, item => indexBlocklistEntry(filename, item)) || {};
+        const tthSet = indexBlocklistEntry(filename, null);
         blocklistVersions.set(filename, blocklistData.version || blocklistData.updated_at || null);
-        const type = filename === path.basename(INTERNAL_BLOCKLIST_FILE) ? 'internal' : (blocklist.url && isValidBlocklistURL(blocklist.url) && blocklist.url !== 'Internal' ? 'remote' : 'local read-only');
-        console.log(`[TTH Block] Loaded ${tthSet.size} TTH(s) from ${type} blocklist ${filename} (version: ${blocklistData.version || 'none'}, description: ${blocklistData.description || 'none'})`);
+        blocklistHeaders.set(filename, blocklistData);
+        const type = getBlocklistType(filename);
+        console.log(`[TTH Block] Loaded ${tthSet.size} TTH(s) and ${(blocklistRuleMap.get(filename) || []).length} rule(s) from ${type} blocklist ${filename} (version: ${blocklistData.version || 'none'}, description: ${blocklistData.description || 'none'})`);
+        const newTTHs = new TTHSet();
+        tthSet.forEach(tth => {
+          if (!oldTTHs.has(tth)) newTTHs.add(tth);
+        });
+        if (newTTHs.size > 0) {
+          await purgeBlockedQueueFiles(socket, settings, newTTHs);
+        }
         return true;
       } catch (err) {
         console.error(`[TTH Block] Failed to reload blocklist ${filename}: ${err.message}`);
@@ -655,260 +1855,2306 @@ async function updateSingleBlocklist(socket, settings, filename, isFetchUpdate =
   return false;
 }
 
-// Fetches and updates a remote blocklist, using ETags to avoid redundant downloads.
-// Retries on failure and updates blocklistVersions and blocklistETags.
-// Linked to: scheduleBlocklistUpdates(), updateSingleBlocklist()
-async function fetchAndUpdateBlocklist(socket, settings, blocklist, retries = 3, delay = 1000) {
-  if (blocklist.url === 'Internal') {
-    console.log(`[TTH Block] Skipping update for ${blocklist.file} (Internal)`);
-    return false;
+// Scans the download queue for files whose TTH has become blocked and removes or pauses them.
+// Runs after blocklist updates, since blocking otherwise only happens when files are added to the queue.
+// Honors the allowlist and the strictest per-blocklist action; posts one summary event listing affected bundles.
+// tths is an array of TTHs or a TTHSet (for freshly loaded large lists).
+// Linked to: updateSingleBlocklist(), addToBlocklist(), getStrictestAction(), queue_purge_action setting
+async function purgeBlockedQueueFiles(socket, settings, tths) {
+  let purgeAction;
+  try {
+    purgeAction = settings.getValue('queue_purge_action') || 'remove';
+  } catch (err) {
+    purgeAction = 'remove';
   }
-  if (!isValidBlocklistURL(blocklist.url)) {
-    console.error(`[TTH Block] Invalid URL for ${blocklist.file}: ${blocklist.url}, skipping update`);
+  if (purgeAction === 'disabled') {
+    console.log(`[TTH Block] Queue purge disabled in settings, skipping scan for ${Array.isArray(tths) ? tths.length : tths.size} new TTH(s)`);
+    return;
+  }
+  const newTTHs = Array.isArray(tths) ? new Set(tths) : tths;
+  if (newTTHs.size === 0) {
+    return;
+  }
+  console.log(`[TTH Block] Scanning download queue for ${newTTHs.size} newly blocked TTH(s)`);
+  const affectedBundles = new Map();
+  const actionCounts = { removed: 0, paused: 0, 'lowest priority': 0 };
+  try {
+    const bundles = await socket.get(`queue/bundles/0/${QUEUE_LIST_LIMIT}`);
+    for (const bundle of bundles) {
+      const files = await socket.get(`queue/bundles/${bundle.id}/files/0/${QUEUE_LIST_LIMIT}`);
+      for (const file of files) {
+        if (!file.tth || !newTTHs.has(file.tth) || !blockedTTHSet.has(file.tth) || allowedTTHMap.has(file.tth) || file.time_finished > 0) {
+          continue;
+        }
+        const lists = getTTHMemberships(file.tth).map(membership => membership.file);
+        const listAction = getStrictestAction(settings, lists);
+        if (listAction === 'audit') {
+          console.log(`[TTH Block] Audit: would have purged queued file ${file.target} (TTH: ${file.tth}, blocklists: ${lists.join(', ')})`);
+          recordBlockHistory({ point: 'queue_purge', name: file.name, tth: file.tth, size: file.size, lists, action: 'audit' });
+          continue;
+        }
+        try {
+          let result;
+          if (listAction === 'lowest_priority') {
+            await socket.post(`queue/files/${file.id}/priority`, { priority: QUEUE_PRIORITY_LOWEST });
+            result = 'lowest priority';
+          } else if (listAction === 'pause' || purgeAction === 'pause') {
+            await socket.post(`queue/files/${file.id}/priority`, { priority: QUEUE_PRIORITY_PAUSED });
+            result = 'paused';
+          } else {
+            await socket.post(`queue/files/${file.id}/remove`, { remove_finished: false });
+            result = 'removed';
+          }
+          actionCounts[result]++;
+          recordBlockHistory({
+            point: 'queue_purge',
+            name: file.name,
+            tth: file.tth,
+            size: file.size,
+            lists,
+            action: { removed: 'remove', paused: 'pause', 'lowest priority': 'lowest_priority' }[result]
+          });
+          console.log(`[TTH Block] Purged queued file ${file.target} (TTH: ${file.tth}, blocklists: ${lists.join(', ')}, result: ${result})`);
+          affectedBundles.set(bundle.name, (affectedBundles.get(bundle.name) || 0) + 1);
+        } catch (err) {
+          console.error(`[TTH Block] Failed to purge queued file ${file.target}: ${err.message}`);
+        }
+      }
+    }
+  } catch (err) {
+    console.error(`[TTH Block] Failed to scan download queue: ${err.message}`);
     await socket.post('events', {
-      text: `Invalid URL for blocklist ${blocklist.file}: ${blocklist.url}`,
+      text: `Failed to scan download queue for blocked files: ${err.message}`,
       severity: 'error'
     });
-    return false;
+    return;
   }
-  for (let attempt = 1; attempt <= retries; attempt++) {
-    try {
-      const headers = blocklistETags.has(blocklist.file) ? { 'If-None-Match': blocklistETags.get(blocklist.file) } : {};
-      console.log(`[TTH Block] Fetching ${blocklist.file} from ${blocklist.url} (attempt ${attempt}/${retries})`);
-      const response = await fetch(blocklist.url, { headers });
-      console.log(`[TTH Block] Response headers for ${blocklist.file}:`, Object.fromEntries(response.headers));
-      if (response.status === 304) {
-        console.log(`[TTH Block] No changes for ${blocklist.file} (HTTP 304: Not Modified)`);
-        return false;
-      }
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  if (affectedBundles.size > 0) {
+    const total = [...affectedBundles.values()].reduce((sum, count) => sum + count, 0);
+    await socket.post('events', {
+      text: `Purged ${total} queued file(s) with newly blocked TTHs (${Object.keys(actionCounts).filter(key => actionCounts[key] > 0).map(key => `${key}: ${actionCounts[key]}`).join(', ')}) from bundle(s): ${[...affectedBundles].map(([name, count]) => `${name} (${count})`).join(', ')}`,
+      severity: 'warning'
+    });
+  } else {
+    console.log(`[TTH Block] No queued files matched the newly blocked TTH(s)`);
+  }
+}
+
+// Decodes a base64 or hex string into a Buffer of the expected length, or returns null.
+// Linked to: parsePublicKey(), verifyBlocklistSignature()
+function decodeKeyMaterial(value, length) {
+  const text = String(value || '').trim();
+  if (/^[0-9a-fA-F]+$/.test(text) && text.length === length * 2) {
+    return Buffer.from(text, 'hex');
+  }
+  const buffer = Buffer.from(text, 'base64');
+  return buffer.length === length ? buffer : null;
+}
+
+// Creates a public key object from a raw Ed25519 key (32 bytes, base64 or hex).
+// Returns null for malformed keys.
+// Linked to: getPinnedPublicKeys(), ED25519_SPKI_PREFIX
+function parsePublicKey(value) {
+  const raw = decodeKeyMaterial(value, 32);
+  if (!raw) return null;
+  try {
+    return crypto.createPublicKey({ key: Buffer.concat([ED25519_SPKI_PREFIX, raw]), format: 'der', type: 'spki' });
+  } catch (err) {
+    return null;
+  }
+}
+
+// Returns the subscription from settings that owns a subscription cache file, or null.
+// Linked to: getPinnedPublicKeys(), getUpdateInterval(), getSubscriptionFile()
+function getSubscription(settings, file) {
+  let subscriptions;
+  try {
+    subscriptions = settings.getValue('subscriptions') || [];
+  } catch (err) {
+    subscriptions = [];
+  }
+  return subscriptions.find(s => s.url && isValidBlocklistURL(s.url.trim()) && getSubscriptionFile(s.url.trim()) === file) || null;
+}
+
+// Returns the trusted public keys pinned for a remote blocklist.
+// Subscriptions pin keys in settings; hand-placed blocklist files pin them in the `public_keys` array of their local
+// copy, whose header (see readBlocklistEntries()) the caller passes in.
+// Linked to: fetchAndUpdateBlocklist(), fetchBlocklistDelta(), SUBSCRIPTIONS_DEFINITION
+function getPinnedPublicKeys(settings, blocklist, header) {
+  let values = [];
+  if (blocklist.file.startsWith(SUBSCRIPTION_FILE_PREFIX)) {
+    const subscription = getSubscription(settings, blocklist.file);
+    values = subscription && subscription.public_keys ? subscription.public_keys.split(/[\s,]+/) : [];
+  } else {
+    values = header && Array.isArray(header.public_keys) ? header.public_keys : [];
+  }
+  values = values.filter(value => String(value).trim() !== '');
+  const keys = values.map(parsePublicKey);
+  if (keys.includes(null)) {
+    throw new Error(`Malformed public key pinned for ${blocklist.file}`);
+  }
+  return keys;
+}
+
+// Verifies a downloaded blocklist against its pinned keys; header is the parsed document or its header.
+// An embedded `signature` field signs the JSON document without that field (JSON.stringify, document key order);
+// otherwise a detached signature at <url>.sig signs the exact (decompressed) response body. Throws when no pinned key verifies it.
+// Linked to: fetchAndUpdateBlocklist(), getPinnedPublicKeys()
+async function verifyBlocklistSignature(blocklist, text, header, keys) {
+  let payload;
+  let signatureText;
+  if (typeof header.signature === 'string') {
+    const { signature, ...unsigned } = JSON.parse(text);
+    payload = Buffer.from(JSON.stringify(unsigned), 'utf-8');
+    signatureText = signature;
+  } else {
+    const response = await fetch(blocklist.url + SIGNATURE_SUFFIX);
+    if (!response.ok) {
+      throw new Error(`No signature found (embedded field missing, ${SIGNATURE_SUFFIX} returned HTTP ${response.status})`);
+    }
+    payload = Buffer.from(text, 'utf-8');
+    signatureText = await response.text();
+  }
+  const signature = decodeKeyMaterial(signatureText, 64);
+  if (!signature) {
+    throw new Error('Malformed signature');
+  }
+  if (!keys.some(key => crypto.verify(null, payload, key, signature))) {
+    throw new Error('Signature does not match any trusted public key');
+  }
+}
+
+// Returns the header of a blocklist's cached copy, reading the file only if it isn't known from the last load
+// (e.g. the list is disabled). Returns null if the file is empty or unreadable.
+// Linked to: blocklistHeaders, readBlocklistEntries(), fetchBlocklistDelta()
+async function getBlocklistHeader(blocklist) {
+  if (blocklistHeaders.has(blocklist.file)) {
+    return blocklistHeaders.get(blocklist.file);
+  }
+  try {
+    const header = await readBlocklistEntries(blocklist.path, () => {});
+    if (header) {
+      blocklistHeaders.set(blocklist.file, header);
+    }
+    return header;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Requests the changes of a remote blocklist since its cached version from the publisher's `delta_url` feed.
+// Feed format: GET <delta_url>?since=<version> -> { version, updated_at, deltas: [{ from_version, to_version, added: [entries], removed: [TTHs] }] }.
+// Returns 'applied' or 'current' when handled, or null when a full download is needed (no feed, broken chain, HTTP error,
+// pattern rules in the delta, or an unsigned delta for a list with pinned keys).
+// Linked to: fetchAndUpdateBlocklist(), applyBlocklistDelta()
+async function fetchBlocklistDelta(socket, settings, blocklist) {
+  // Only the header is needed here; the entries are streamed past and rewritten by applyBlocklistDelta()
+  const cached = await getBlocklistHeader(blocklist);
+  if (!cached) {
+    return null;
+  }
+  const cachedVersion = cached.version || cached.updated_at || null;
+  if (!cached.delta_url || !isValidBlocklistURL(cached.delta_url) || cached.delta_url === 'Internal' || !cachedVersion || !Array.isArray(cached.tths)) {
+    return null;
+  }
+  try {
+    const deltaURL = `${cached.delta_url}${cached.delta_url.includes('?') ? '&' : '?'}since=${encodeURIComponent(cachedVersion)}`;
+    console.log(`[TTH Block] Fetching delta for ${blocklist.file} since version ${cachedVersion} from ${deltaURL}`);
+    const response = await fetch(deltaURL);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    const text = await response.text();
+    const feed = JSON.parse(text);
+    const deltas = Array.isArray(feed.deltas) ? feed.deltas : [];
+    const keys = getPinnedPublicKeys(settings, blocklist, cached);
+    if (keys.length > 0) {
+      if (typeof feed.signature !== 'string') {
+        throw new Error('delta feed is not signed');
       }
-      const contentType = response.headers.get('content-type') || '';
-      if (!contentType.includes('application/json') && !contentType.includes('text/plain')) {
-        throw new Error(`Invalid content type: ${contentType}, expected application/json or text/plain`);
+      await verifyBlocklistSignature({ url: deltaURL }, text, feed, keys);
+    }
+    if (deltas.length === 0) {
+      if (feed.version && feed.version !== cachedVersion) {
+        throw new Error(`no deltas from ${cachedVersion} to ${feed.version}`);
       }
-      const text = await response.text();
-      let data;
-      try {
-        data = JSON.parse(text);
-      } catch (err) {
-        throw new Error(`Invalid JSON: ${err.message}`);
+      console.log(`[TTH Block] No changes for ${blocklist.file} in delta feed (version: ${cachedVersion})`);
+      return 'current';
+    }
+    let version = cachedVersion;
+    for (const delta of deltas) {
+      if (delta.from_version !== version || !delta.to_version) {
+        throw new Error(`broken delta chain at version ${version}`);
       }
-      if (!Array.isArray(data.tths)) {
-        throw new Error('Invalid JSON format: tths not an array');
+      if (!Array.isArray(delta.added || []) || !Array.isArray(delta.removed || [])) {
+        throw new Error(`invalid delta ${delta.from_version} -> ${delta.to_version}`);
       }
-      const newVersion = data.version || data.updated_at || null;
-      const oldVersion = blocklistVersions.get(blocklist.file);
-      if (newVersion && oldVersion === newVersion) {
-        console.log(`[TTH Block] No version change for ${blocklist.file} (version: ${newVersion})`);
-        return false;
+      if ((delta.added || []).some(item => !item || !isValidTTH(item.tth))) {
+        throw new Error(`delta ${delta.from_version} -> ${delta.to_version} contains entries other than TTHs`);
       }
-      const etag = response.headers.get('ETag') || '';
-      blocklistETags.set(blocklist.file, etag);
-      blocklistVersions.set(blocklist.file, newVersion);
-      lastUpdateWriteTime.set(blocklist.file, Date.now());
-      fs.writeFileSync(blocklist.path, formatBlocklistJSON(data), 'utf-8');
-      const stats = fs.statSync(blocklist.path);
-      console.log(`[TTH Block] Updated ${blocklist.file} from ${blocklist.url} (version: ${newVersion || 'none'}, size: ${stats.size} bytes, description: ${data.description || 'none'})`);
-      await socket.post('events', {
-        text: `Updated blocklist ${blocklist.file} from ${blocklist.url} with ${data.tths.length} TTH(s) (version: ${newVersion || 'none'}, size: ${stats.size} bytes)`,
-        severity: 'info'
+      version = delta.to_version;
+    }
+    if (feed.version && feed.version !== version) {
+      throw new Error(`delta chain ends at ${version}, latest version is ${feed.version}`);
+    }
+    await applyBlocklistDelta(socket, settings, blocklist, cached, deltas, feed.updated_at);
+    return 'applied';
+  } catch (err) {
+    console.warn(`[TTH Block] Delta update for ${blocklist.file} not possible (${err.message}), falling back to full download`);
+    return null;
+  }
+}
+
+// Applies a verified delta chain to the cached copy of a remote blocklist and to the in-memory index.
+// The cached file is rewritten entry by entry (removed and re-added TTHs are skipped, added entries appended), so large
+// lists are never held in memory; only the changed TTHs are unindexed/indexed and newly blocked TTHs are purged from the queue.
+// Linked to: fetchBlocklistDelta(), writeBlocklistStream(), indexBlocklistEntries(), unindexBlocklist(), purgeBlockedQueueFiles()
+async function applyBlocklistDelta(socket, settings, blocklist, cached, deltas, updatedAt) {
+  const added = new Map();
+  const removed = new Set();
+  deltas.forEach(delta => {
+    (delta.removed || []).forEach(tth => {
+      added.delete(tth);
+      removed.add(tth);
+    });
+    (delta.added || []).forEach(item => {
+      added.set(item.tth, item);
+      removed.delete(item.tth);
+    });
+  });
+  const version = deltas[deltas.length - 1].to_version;
+  const data = {
+    ...cached,
+    version,
+    updated_at: updatedAt || new Date().toISOString()
+  };
+  delete data.signature;
+  delete data.count;
+  let previousCount = 0;
+  let keptCount = 0;
+  const tempPath = `${blocklist.path}.tmp`;
+  try {
+    await writeBlocklistStream(tempPath, blocklist.path.endsWith('.gz'), data, async writeEntry => {
+      const pending = [];
+      await readBlocklistEntries(blocklist.path, item => {
+        if (item && item.tth) {
+          previousCount++;
+          // Removed TTHs are dropped; added TTHs are written below with their new details
+          if (removed.has(item.tth) || added.has(item.tth)) return;
+          keptCount++;
+        }
+        pending.push(item);
+      }, async () => {
+        for (const item of pending.splice(0)) {
+          await writeEntry(item);
+        }
       });
-      console.log(`[TTH Block] Note: Updates may be delayed up to 5 minutes due to GitHub CDN caching (max-age=300)`);
-      return true;
-    } catch (err) {
-      console.error(`[TTH Block] Failed to update ${blocklist.file} from ${blocklist.url} (attempt ${attempt}/${retries}): ${err.message}`);
-      if (attempt < retries && !err.message.includes('HTTP 304')) {
-        console.log(`[TTH Block] Retrying ${blocklist.file} in ${delay}ms`);
-        await new Promise(resolve => setTimeout(resolve, delay));
-      } else {
-        await socket.post('events', {
-          text: `Failed to update blocklist ${blocklist.file}: ${err.message}`,
-          severity: 'error'
-        });
-        return false;
+      for (const item of added.values()) {
+        await writeEntry(item);
       }
+    });
+    const newCount = keptCount + added.size;
+    if (exceedsShrinkLimit(settings, previousCount, newCount)) {
+      throw new Error(`deltas would shrink the list from ${previousCount} to ${newCount} TTH(s)`);
     }
+    fs.renameSync(tempPath, blocklist.path);
+  } catch (err) {
+    fs.rmSync(tempPath, { force: true });
+    throw err;
+  }
+  // Record the new mtime so neither the watcher nor updateSingleBlocklist() reloads the whole list.
+  lastUpdateWriteTime.set(blocklist.file, fs.statSync(blocklist.path).mtimeMs);
+  blocklistVersions.set(blocklist.file, version);
+  blocklistHeaders.set(blocklist.file, { ...data, count: keptCount + added.size });
+  // The cached ETag/Last-Modified belong to the previous full download.
+  const state = getUpdateState(blocklist.file);
+  state.etag = null;
+  state.last_modified = null;
+
+  const tthSet = blocklistTTHMap.get(blocklist.file);
+  let newTTHs = [];
+  if (tthSet) {
+    newTTHs = [...added.keys()].filter(tth => !tthSet.has(tth));
+    unindexBlocklist(blocklist.file, [...removed, ...added.keys()]);
+    indexBlocklistEntries(blocklist.file, [...added.values()]);
+  }
+  console.log(`[TTH Block] Applied ${deltas.length} delta(s) to ${blocklist.file} (version: ${version}, added: ${added.size}, removed: ${removed.size}, total: ${keptCount + added.size})`);
+  await socket.post('events', {
+    text: `Updated blocklist ${blocklist.file} from ${blocklist.url} incrementally with ${added.size} added and ${removed.size} removed TTH(s) (version: ${version})`,
+    severity: 'info'
+  });
+  if (newTTHs.length > 0) {
+    await purgeBlockedQueueFiles(socket, settings, newTTHs);
   }
 }
 
-// Schedules periodic updates for remote blocklists based on the update_interval setting.
-// Clears previous intervals to prevent memory leaks.
-// Linked to: fetchAndUpdateBlocklist(), extension.onStop()
-function scheduleBlocklistUpdates(socket, settings, extension) {
-  if (updateIntervalId) {
-    clearInterval(updateIntervalId);
-    console.log('[TTH Block] Cleared previous update interval');
-  }
-  const interval = (settings.getValue('update_interval') || 60) * 60 * 1000;
-  updateIntervalId = setInterval(async () => {
-    console.log('[TTH Block] Checking for remote blocklist updates');
-    for (const blocklist of blocklistFiles) {
-      if (blocklist.url && blocklist.url !== 'Internal' && isValidBlocklistURL(blocklist.url)) {
-        const updated = await fetchAndUpdateBlocklist(socket, settings, blocklist);
-        if (updated) {
-          updateSingleBlocklist(socket, settings, blocklist.file, true);
+// Validates downloaded blocklist entries one by one as they are parsed: accept(item) keeps TTH entries with a valid
+// TTH (first occurrence only) and pattern rules that compile, and counts what was dropped.
+// Returns: { accept(item), tths (TTHSet of the kept TTHs), kept, invalid, duplicates }
+// Linked to: fetchAndUpdateBlocklist(), isValidTTH(), compileBlocklistRule()
+function createEntryValidator() {
+  const validator = {
+    tths: new TTHSet(),
+    kept: 0,
+    invalid: 0,
+    duplicates: 0,
+    accept(item) {
+      if (!item || typeof item !== 'object') {
+        validator.invalid++;
+        return false;
+      }
+      if (isBlocklistRule(item)) {
+        if (!compileBlocklistRule(item)) {
+          validator.invalid++;
+          return false;
         }
+      } else if (!item.tth || !isValidTTH(item.tth)) {
+        validator.invalid++;
+        return false;
+      } else if (validator.tths.has(item.tth)) {
+        validator.duplicates++;
+        return false;
+      } else {
+        validator.tths.add(item.tth);
       }
+      validator.kept++;
+      return true;
     }
-  }, interval);
-  console.log(`[TTH Block] Scheduled blocklist updates every ${interval / 60000} minutes`);
-  // Seen in logs: [TTH Block] Scheduled blocklist updates every 60 minutes
+  };
+  return validator;
 }
 
-// Retrieves TTH from a search result by checking if the ID is a TTH or fetching via API.
-// Handles cases where search results may not have TTHs directly.
-// Linked to: addToBlocklist()
-async function addTTHFromSearch(socket, entityId, resultId) {
-  if (isValidTTH(resultId)) {
-    console.log(`[TTH Block] Search result ID ${resultId} is a valid TTH, using directly`);
-    return resultId;
-  } else {
-    console.log(`[TTH Block] Search result ID ${resultId} is not a valid TTH, attempting API fetch`);
+// Returns true if replacing a list of oldCount TTHs with newCount TTHs exceeds the max_shrink_percent setting.
+// Linked to: fetchAndUpdateBlocklist(), applyBlocklistDelta(), MAX_SHRINK_DEFINITION
+function exceedsShrinkLimit(settings, oldCount, newCount) {
+  let maxShrink;
+  try {
+    maxShrink = settings.getValue('max_shrink_percent');
+  } catch (err) {
+    maxShrink = MAX_SHRINK_DEFINITION.default_value;
+  }
+  return maxShrink > 0 && oldCount > 0 && (oldCount - newCount) / oldCount * 100 > maxShrink;
+}
+
+// Parks a remote update that shrinks a list too much in HELD_UPDATES_DIR and asks the user to confirm it.
+// The held copy is written from the header and the entries spooled at entriesPath.
+// The current list stays active; the same held version is only reported once.
+// Linked to: fetchAndUpdateBlocklist(), applyHeldUpdates(), discardHeldUpdates(), rewriteBlocklistFile()
+async function holdBlocklistUpdate(socket, blocklist, data, entriesPath, oldCount, newCount) {
+  const state = getUpdateState(blocklist.file);
+  const version = data.version || data.updated_at || null;
+  const alreadyHeld = state.held && state.held.version === version && fs.existsSync(path.join(HELD_UPDATES_DIR, blocklist.file));
+  fs.mkdirSync(HELD_UPDATES_DIR, { recursive: true });
+  await rewriteBlocklistFile(entriesPath, path.join(HELD_UPDATES_DIR, blocklist.file), data);
+  state.held = { version, tths: newCount, previous_tths: oldCount, held_at: new Date().toISOString() };
+  saveUpdateState();
+  console.warn(`[TTH Block] Held update of ${blocklist.file} (version: ${version || 'none'}): ${oldCount} -> ${newCount} TTH(s)`);
+  if (!alreadyHeld) {
+    await socket.post('events', {
+      text: `The update of blocklist ${blocklist.file} (version: ${version || 'none'}) would shrink it from ${oldCount} to ${newCount} TTH(s) and is held. The current list stays active. Right-click the extension in Settings > Extensions to apply or discard held updates`,
+      severity: 'warning'
+    });
+  }
+}
+
+// Applies all held remote updates after confirmation and reloads the affected lists.
+// Linked to: holdBlocklistUpdate(), updateSingleBlocklist(), extension menu item apply_held_updates
+async function applyHeldUpdates(socket, settings) {
+  const applied = [];
+  for (const [file, state] of blocklistUpdateState) {
+    if (!state.held) continue;
+    const heldPath = path.join(HELD_UPDATES_DIR, file);
+    const blocklist = blocklistFiles.find(b => b.file === file);
+    try {
+      if (blocklist && fs.existsSync(heldPath)) {
+        lastUpdateWriteTime.set(file, Date.now());
+        fs.renameSync(heldPath, blocklist.path);
+        blocklistVersions.set(file, state.held.version);
+        blocklistHeaders.delete(file);
+        state.version = state.held.version;
+        await updateSingleBlocklist(socket, settings, file, true, true);
+        applied.push(`${file} (${state.held.previous_tths} -> ${state.held.tths} TTH(s))`);
+      }
+    } catch (err) {
+      console.error(`[TTH Block] Failed to apply held update of ${file}: ${err.message}`);
+      await socket.post('events', {
+        text: `Failed to apply held update of blocklist ${file}: ${err.message}`,
+        severity: 'error'
+      });
+      continue;
+    }
+    delete state.held;
+  }
+  saveUpdateState();
+  await socket.post('events', {
+    text: applied.length > 0 ? `Applied held blocklist updates: ${applied.join(', ')}` : 'No held blocklist updates to apply',
+    severity: 'info'
+  });
+}
+
+// Discards all held remote updates; the discarded versions are not held or applied again.
+// Linked to: holdBlocklistUpdate(), extension menu item discard_held_updates
+async function discardHeldUpdates(socket) {
+  const discarded = [];
+  blocklistUpdateState.forEach((state, file) => {
+    if (!state.held) return;
+    fs.rmSync(path.join(HELD_UPDATES_DIR, file), { force: true });
+    state.discarded_version = state.held.version;
+    discarded.push(file);
+    delete state.held;
+  });
+  saveUpdateState();
+  await socket.post('events', {
+    text: discarded.length > 0 ? `Discarded held blocklist updates: ${discarded.join(', ')}` : 'No held blocklist updates to discard',
+    severity: 'info'
+  });
+}
+
+// Fetches and updates a remote blocklist, using ETag/Last-Modified to avoid redundant downloads.
+// Makes a single attempt and records the outcome in blocklistUpdateState; retries are scheduled with backoff by
+// scheduleBlocklistUpdate(). Downloads are parsed and validated entry by entry as they arrive, spooling the kept entries
+// to disk so the list is never held in memory as a whole, and written atomically; updates shrinking the list by
+// more than max_shrink_percent are held for confirmation. Lists with pinned public keys are only written
+// after their signature verifies; failures keep the last good copy. Lists publishing a `delta_url` are updated
+// incrementally where possible, in which case false is returned since nothing is left to reload.
+// Linked to: scheduleBlocklistUpdates(), updateSingleBlocklist()
+async function fetchAndUpdateBlocklist(socket, settings, blocklist) {
+  if (blocklist.url === 'Internal') {
+    console.log(`[TTH Block] Skipping update for ${blocklist.file} (Internal)`);
+    return false;
+  }
+  if (!isValidBlocklistURL(blocklist.url)) {
+    console.error(`[TTH Block] Invalid URL for ${blocklist.file}: ${blocklist.url}, skipping update`);
+    await socket.post('events', {
+      text: `Invalid URL for blocklist ${blocklist.file}: ${blocklist.url}`,
+      severity: 'error'
+    });
+    return false;
+  }
+  const state = getUpdateState(blocklist.file);
+  if (await fetchBlocklistDelta(socket, settings, blocklist)) {
+    recordUpdateSuccess(blocklist.file);
+    return false;
+  }
+  let retryAfter = null;
+  const entriesPath = `${blocklist.path}.download.tmp`;
+  try {
+    const headers = { 'Accept-Encoding': 'gzip, deflate, br' };
+    if (state.etag) {
+      headers['If-None-Match'] = state.etag;
+    }
+    if (state.last_modified) {
+      headers['If-Modified-Since'] = state.last_modified;
+    }
+    console.log(`[TTH Block] Fetching ${blocklist.file} from ${blocklist.url}${state.failures ? ` (after ${state.failures} failure(s))` : ''}`);
+    const response = await fetch(blocklist.url, { headers });
+    console.log(`[TTH Block] Response headers for ${blocklist.file}:`, Object.fromEntries(response.headers));
+    if (response.status === 304) {
+      console.log(`[TTH Block] No changes for ${blocklist.file} (HTTP 304: Not Modified)`);
+      recordUpdateSuccess(blocklist.file);
+      return false;
+    }
+    if (!response.ok) {
+      retryAfter = parseRetryAfter(response);
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    const contentType = response.headers.get('content-type') || '';
+    if (contentType && !ACCEPTED_CONTENT_TYPES.some(type => contentType.includes(type))) {
+      throw new Error(`Invalid content type: ${contentType}, expected ${ACCEPTED_CONTENT_TYPES.join(', ')}`);
+    }
+    // One pass over the current copy for its pinned keys and its TTH count, which the shrink limit compares against
+    let oldCount = 0;
+    let local = null;
+    try {
+      local = await readBlocklistEntries(blocklist.path, item => {
+        if (item && item.tth && isValidTTH(item.tth)) oldCount++;
+      });
+    } catch (err) {
+      oldCount = 0;
+    }
+    const keys = getPinnedPublicKeys(settings, blocklist, local);
+    // Signatures cover the whole document, so the body is only kept when it has to be verified
+    const validator = createEntryValidator();
+    const pending = [];
+    const parser = new BlocklistParser(item => {
+      if (validator.accept(item)) pending.push(item);
+    });
+    const decoder = new StringDecoder('utf8');
+    const body = [];
+    let data;
+    try {
+      await writeBlocklistStream(entriesPath, false, {}, async writeEntry => {
+        for await (const chunk of decodeBlocklistStream(response.body, blocklist.url, response.headers.get('content-encoding'))) {
+          if (keys.length > 0) body.push(chunk);
+          parser.write(decoder.write(chunk));
+          for (const item of pending.splice(0)) {
+            await writeEntry(item);
+          }
+        }
+        parser.write(decoder.end());
+        data = parser.end();
+      });
+    } catch (err) {
+      throw err instanceof SyntaxError ? new Error(`Invalid JSON: ${err.message}`) : err;
+    }
+    if (!data || !Array.isArray(data.tths)) {
+      throw new Error('Invalid JSON format: tths not an array');
+    }
+    if (keys.length > 0) {
+      try {
+        await verifyBlocklistSignature(blocklist, Buffer.concat(body).toString('utf-8'), data, keys);
+      } catch (err) {
+        recordUpdateFailure(blocklist.file, `Signature verification failed: ${err.message}`);
+        console.error(`[TTH Block] Signature verification failed for ${blocklist.file}: ${err.message}, keeping last good copy`);
+        await socket.post('events', {
+          text: `Signature verification failed for blocklist ${blocklist.file} from ${blocklist.url}: ${err.message}. The last good copy is kept.`,
+          severity: 'error'
+        });
+        return false;
+      }
+      console.log(`[TTH Block] Signature verified for ${blocklist.file}`);
+    }
+    const newVersion = data.version || data.updated_at || null;
+    const oldVersion = blocklistVersions.get(blocklist.file);
+    state.etag = response.headers.get('ETag') || null;
+    state.last_modified = response.headers.get('Last-Modified') || null;
+    if (newVersion && oldVersion === newVersion) {
+      console.log(`[TTH Block] No version change for ${blocklist.file} (version: ${newVersion})`);
+      recordUpdateSuccess(blocklist.file);
+      return false;
+    }
+    if (newVersion && state.discarded_version === newVersion) {
+      console.log(`[TTH Block] Version ${newVersion} of ${blocklist.file} was discarded, keeping the current list`);
+      recordUpdateSuccess(blocklist.file);
+      return false;
+    }
+    const { invalid, duplicates } = validator;
+    const tthCount = validator.tths.size;
+    if (parser.count > 0 && validator.kept === 0) {
+      throw new Error(`None of the ${parser.count} downloaded entries is valid`);
+    }
+    if (invalid > 0 || duplicates > 0) {
+      console.warn(`[TTH Block] Dropped ${invalid} invalid and ${duplicates} duplicate entr(ies) from the update of ${blocklist.file}`);
+    }
+    if (exceedsShrinkLimit(settings, oldCount, tthCount)) {
+      await holdBlocklistUpdate(socket, blocklist, data, entriesPath, oldCount, tthCount);
+      recordUpdateSuccess(blocklist.file);
+      return false;
+    }
+    if (blocklist.file.startsWith(SUBSCRIPTION_FILE_PREFIX)) {
+      // Subscription caches must keep pointing at the subscribed URL and display name from settings.
+      data.url = blocklist.url;
+      data.description = blocklist.description || data.description;
+    } else {
+      // Pinned keys are local trust decisions and are never taken from the downloaded copy.
+      delete data.public_keys;
+      if (keys.length > 0) {
+        data.public_keys = local.public_keys;
+      }
+    }
+    blocklistVersions.set(blocklist.file, newVersion);
+    blocklistHeaders.delete(blocklist.file);
+    state.version = newVersion;
+    if (state.held) {
+      // A newer update within the shrink limit supersedes the held one.
+      fs.rmSync(path.join(HELD_UPDATES_DIR, blocklist.file), { force: true });
+      delete state.held;
+    }
+    recordUpdateSuccess(blocklist.file);
+    lastUpdateWriteTime.set(blocklist.file, Date.now());
+    await rewriteBlocklistFile(entriesPath, blocklist.path, data);
+    const stats = fs.statSync(blocklist.path);
+    console.log(`[TTH Block] Updated ${blocklist.file} from ${blocklist.url} (version: ${newVersion || 'none'}, size: ${stats.size} bytes, description: ${data.description || 'none'})`);
+    await socket.post('events', {
+      text: `Updated blocklist ${blocklist.file} from ${blocklist.url} with ${tthCount} TTH(s) (version: ${newVersion || 'none'}, size: ${stats.size} bytes${invalid + duplicates > 0 ? `, dropped ${invalid} invalid and ${duplicates} duplicate entries` : ''})`,
+      severity: 'info'
+    });
+    if (new URL(blocklist.url).hostname.includes('githubusercontent.com')) {
+      console.log(`[TTH Block] Note: Updates may be delayed up to 5 minutes due to GitHub CDN caching (max-age=300)`);
+    }
+    return true;
+  } catch (err) {
+    recordUpdateFailure(blocklist.file, err.message, retryAfter);
+    console.error(`[TTH Block] Failed to update ${blocklist.file} from ${blocklist.url} (failure ${state.failures}): ${err.message}`);
+    await socket.post('events', {
+      text: `Failed to update blocklist ${blocklist.file}: ${err.message}`,
+      severity: 'error'
+    });
+    return false;
+  } finally {
+    fs.rmSync(entriesPath, { force: true });
+  }
+}
+
+// Returns the cache filename of a subscription URL, derived from the host and a hash of the URL so it stays stable.
+// Subscription caches are kept gzip-compressed on disk.
+// Example: https://example.org/lists/spam.json -> subscription_example.org_1a2b3c4d.json.gz
+// Linked to: syncSubscriptions(), SUBSCRIPTION_FILE_PREFIX
+function getSubscriptionFile(url) {
+  const host = new URL(url).hostname.replace(/[^\w.-]+/g, '_');
+  const hash = crypto.createHash('sha1').update(url).digest('hex').slice(0, 8);
+  return `${SUBSCRIPTION_FILE_PREFIX}${host}_${hash}.json.gz`;
+}
+
+// Creates cache files for new subscriptions from settings and deletes the cache files of removed subscriptions.
+// New subscriptions are fetched right away; settings definitions are refreshed when the set of lists changes.
+// Linked to: getSubscriptionFile(), fetchAndUpdateBlocklist(), updateSingleBlocklist(), updateSettingsDefinitions()
+async function syncSubscriptions(socket, settings, extension) {
+  let subscriptions;
+  try {
+    subscriptions = settings.getValue('subscriptions') || [];
+  } catch (err) {
+    subscriptions = [];
+  }
+  const wanted = new Map();
+  subscriptions.forEach(subscription => {
+    const url = (subscription.url || '').trim();
+    if (!isValidBlocklistURL(url) || url === 'Internal') {
+      console.warn(`[TTH Block] Ignoring subscription with invalid URL: ${url || 'none'}`);
+      return;
+    }
+    wanted.set(getSubscriptionFile(url), { url, name: (subscription.name || '').trim() });
+  });
+
+  const created = [];
+  const removed = [];
+  try {
+    for (const [file, subscription] of wanted) {
+      const filePath = path.join(BLOCKLIST_DIR, file);
+      if (fs.existsSync(filePath)) {
+        const cached = await readBlocklistEntries(filePath, () => {});
+        if (subscription.name && cached && cached.description !== subscription.name) {
+          const header = { ...cached, description: subscription.name };
+          delete header.count;
+          await rewriteBlocklistFile(filePath, filePath, header);
+          blocklistHeaders.set(file, { ...header, count: cached.count });
+        }
+        continue;
+      }
+      const seed = {
+        url: subscription.url,
+        version: null,
+        updated_at: new Date().toISOString(),
+        description: subscription.name || subscription.url,
+        tths: []
+      };
+      lastUpdateWriteTime.set(file, Date.now());
+      writeBlocklistText(filePath, formatBlocklistJSON(seed));
+      created.push(file);
+    }
+    fs.readdirSync(BLOCKLIST_DIR)
+      .filter(file => file.startsWith(SUBSCRIPTION_FILE_PREFIX) && isBlocklistFilename(file) && !wanted.has(file))
+      .forEach(file => {
+        fs.unlinkSync(path.join(BLOCKLIST_DIR, file));
+        unindexBlocklist(file);
+        blocklistVersions.delete(file);
+        blocklistHeaders.delete(file);
+        blocklistUpdateState.delete(file);
+        fs.rmSync(path.join(HELD_UPDATES_DIR, file), { force: true });
+        removed.push(file);
+      });
+  } catch (err) {
+    console.error(`[TTH Block] Failed to sync subscriptions: ${err.message}`);
+    await socket.post('events', {
+      text: `Failed to sync blocklist subscriptions: ${err.message}`,
+      severity: 'error'
+    });
+    return;
+  }
+  if (created.length === 0 && removed.length === 0) {
+    return;
+  }
+
+  blocklistFiles = await getBlocklistFiles(socket);
+  const localBlocklists = blocklistFiles.filter(b => !b.url || b.url === 'Internal' || !isValidBlocklistURL(b.url));
+  const remoteBlocklists = blocklistFiles.filter(b => b.url && b.url !== 'Internal' && isValidBlocklistURL(b.url));
+  await updateSettingsDefinitions(socket, extension, localBlocklists, remoteBlocklists, settings);
+  console.log(`[TTH Block] Synced subscriptions (added: ${created.join(', ') || 'none'}, removed: ${removed.join(', ') || 'none'})`);
+  await socket.post('events', {
+    text: `Blocklist subscriptions updated (added: ${created.map(file => wanted.get(file).name || wanted.get(file).url).join(', ') || 'none'}, removed: ${removed.join(', ') || 'none'})`,
+    severity: 'info'
+  });
+  saveUpdateState();
+  for (const file of created) {
+    await runBlocklistUpdate(socket, settings, extension, file);
+  }
+  scheduleBlocklistUpdates(socket, settings, extension);
+}
+
+// Returns the filename of a writable blocklist created from the user_lists setting.
+// Example: getUserListFile('Wrong quality') -> 'user_wrong_quality.json'
+// Linked to: syncUserLists(), USER_LIST_FILE_PREFIX
+function getUserListFile(name) {
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  return `${USER_LIST_FILE_PREFIX}${slug || crypto.createHash('sha1').update(name).digest('hex').slice(0, 8)}.json`;
+}
+
+// Creates a writable blocklist for each name in the user_lists setting and retires lists removed from it.
+// Retired lists are renamed to <file>.removed rather than deleted, so their entries can be restored.
+// internal_blocklist.json stays the default target with its internal_block_list toggle, so existing setups keep working.
+// Linked to: getUserListFile(), getWritableBlocklists(), updateSettingsDefinitions(), updateSingleBlocklist()
+async function syncUserLists(socket, settings, extension) {
+  let names;
+  try {
+    names = settings.getValue('user_lists') || [];
+  } catch (err) {
+    names = [];
+  }
+  const wanted = new Map();
+  names.map(name => String(name || '').trim()).filter(name => name !== '').forEach(name => {
+    wanted.set(getUserListFile(name), name);
+  });
+
+  const created = [];
+  const removed = [];
+  try {
+    for (const [file, name] of wanted) {
+      const filePath = path.join(BLOCKLIST_DIR, file);
+      if (fs.existsSync(filePath)) {
+        const blocklist = readWritableList(filePath);
+        if (blocklist.description !== name) {
+          blocklist.description = name;
+          lastUpdateWriteTime.set(file, Date.now());
+          writeBlocklistText(filePath, formatBlocklistJSON(blocklist));
+        }
+        continue;
+      }
+      const blocklist = {
+        url: 'Internal',
+        version: 'Internal',
+        updated_at: new Date().toISOString(),
+        description: name,
+        tths: []
+      };
+      lastUpdateWriteTime.set(file, Date.now());
+      writeBlocklistText(filePath, formatBlocklistJSON(blocklist));
+      created.push(file);
+    }
+    blocklistFiles
+      .filter(b => b.file.startsWith(USER_LIST_FILE_PREFIX) && b.url === 'Internal' && !wanted.has(b.file))
+      .forEach(b => {
+        let removedPath = `${b.path}${REMOVED_SUFFIX}`;
+        if (fs.existsSync(removedPath)) {
+          removedPath = `${b.path}.${Date.now()}${REMOVED_SUFFIX}`;
+        }
+        fs.renameSync(b.path, removedPath);
+        unindexBlocklist(b.file);
+        blocklistVersions.delete(b.file);
+        blocklistHeaders.delete(b.file);
+        removed.push(`${b.description || b.file} (kept as ${path.basename(removedPath)})`);
+      });
+  } catch (err) {
+    console.error(`[TTH Block] Failed to sync writable blocklists: ${err.message}`);
+    await socket.post('events', {
+      text: `Failed to sync writable blocklists: ${err.message}`,
+      severity: 'error'
+    });
+    return;
+  }
+  if (created.length === 0 && removed.length === 0) {
+    return;
+  }
+
+  blocklistFiles = await getBlocklistFiles(socket);
+  const localBlocklists = blocklistFiles.filter(b => !b.url || b.url === 'Internal' || !isValidBlocklistURL(b.url));
+  const remoteBlocklists = blocklistFiles.filter(b => b.url && b.url !== 'Internal' && isValidBlocklistURL(b.url));
+  await updateSettingsDefinitions(socket, extension, localBlocklists, remoteBlocklists, settings);
+  for (const file of created) {
+    await updateSingleBlocklist(socket, settings, file, false, true);
+  }
+  console.log(`[TTH Block] Synced writable blocklists (added: ${created.join(', ') || 'none'}, removed: ${removed.join(', ') || 'none'})`);
+  await socket.post('events', {
+    text: `Writable blocklists updated (added: ${created.map(file => wanted.get(file)).join(', ') || 'none'}, removed: ${removed.join(', ') || 'none'})`,
+    severity: 'info'
+  });
+}
+
+// Loads the persisted update state of remote blocklists from UPDATE_STATE_FILE in the extension's config directory.
+// Linked to: saveUpdateState(), blocklistUpdateState, extension.onStart()
+function loadUpdateState(extension) {
+  updateStatePath = path.join(extension.configPath, UPDATE_STATE_FILE);
+  blocklistUpdateState.clear();
+  try {
+    if (fs.existsSync(updateStatePath)) {
+      const data = JSON.parse(fs.readFileSync(updateStatePath, 'utf-8'));
+      Object.keys(data).forEach(file => blocklistUpdateState.set(file, data[file]));
+      console.log(`[TTH Block] Loaded update state for ${blocklistUpdateState.size} remote blocklist(s)`);
+    }
+  } catch (err) {
+    console.error(`[TTH Block] Failed to load update state from ${updateStatePath}: ${err.message}`);
+  }
+}
+
+// Writes blocklistUpdateState to UPDATE_STATE_FILE, dropping entries of blocklists that no longer exist.
+// Linked to: loadUpdateState(), recordUpdateSuccess(), recordUpdateFailure()
+function saveUpdateState() {
+  if (!updateStatePath) return;
+  const data = {};
+  blocklistUpdateState.forEach((state, file) => {
+    if (blocklistFiles.some(b => b.file === file)) {
+      data[file] = state;
+    }
+  });
+  try {
+    fs.writeFileSync(updateStatePath, JSON.stringify(data, null, 2), 'utf-8');
+  } catch (err) {
+    console.error(`[TTH Block] Failed to save update state to ${updateStatePath}: ${err.message}`);
+  }
+}
+
+// Returns the (mutable) update state of a blocklist, creating an empty one when missing.
+// Linked to: blocklistUpdateState, fetchAndUpdateBlocklist()
+function getUpdateState(file) {
+  let state = blocklistUpdateState.get(file);
+  if (!state) {
+    state = { etag: null, last_modified: null, version: null, last_success: null, last_failure: null, last_error: null, failures: 0, retry_after: null };
+    blocklistUpdateState.set(file, state);
+  }
+  return state;
+}
+
+// Records a successful update check (including HTTP 304 and unchanged versions) and resets the backoff.
+// Linked to: fetchAndUpdateBlocklist(), getNextUpdateTime()
+function recordUpdateSuccess(file) {
+  const state = getUpdateState(file);
+  state.last_success = Date.now();
+  state.last_error = null;
+  state.failures = 0;
+  state.retry_after = null;
+  if (blocklistVersions.has(file)) {
+    state.version = blocklistVersions.get(file);
+  }
+  saveUpdateState();
+}
+
+// Records a failed update check; the failure count drives the exponential backoff.
+// retryAfter is a timestamp from Retry-After/rate-limit headers the next attempt must not precede.
+// Linked to: fetchAndUpdateBlocklist(), getNextUpdateTime()
+function recordUpdateFailure(file, message, retryAfter = null) {
+  const state = getUpdateState(file);
+  state.last_failure = Date.now();
+  state.last_error = message;
+  state.failures = (state.failures || 0) + 1;
+  state.retry_after = retryAfter;
+  saveUpdateState();
+}
+
+// Returns the time (ms timestamp) before which a failed request must not be repeated, from the Retry-After header
+// (seconds or HTTP date) or exhausted rate-limit headers (X-RateLimit-Remaining: 0 with X-RateLimit-Reset in epoch seconds).
+// Returns null when the response carries neither.
+// Linked to: fetchAndUpdateBlocklist()
+function parseRetryAfter(response) {
+  const retryAfter = response.headers.get('Retry-After');
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const time = Number.isFinite(seconds) ? Date.now() + seconds * 1000 : Date.parse(retryAfter);
+    if (Number.isFinite(time)) return time;
+  }
+  if (response.headers.get('X-RateLimit-Remaining') === '0') {
+    const reset = Number(response.headers.get('X-RateLimit-Reset'));
+    if (Number.isFinite(reset) && reset > 0) return reset * 1000;
+  }
+  return null;
+}
+
+// Returns the update interval of a remote blocklist in ms: the subscription's own interval if set, else update_interval.
+// Linked to: getSubscription(), getNextUpdateTime()
+function getUpdateInterval(settings, blocklist) {
+  const subscription = blocklist.file.startsWith(SUBSCRIPTION_FILE_PREFIX) ? getSubscription(settings, blocklist.file) : null;
+  let minutes = subscription && subscription.update_interval > 0 ? subscription.update_interval : null;
+  if (!minutes) {
+    try {
+      minutes = settings.getValue('update_interval') || 60;
+    } catch (err) {
+      minutes = 60;
+    }
+  }
+  return minutes * 60 * 1000;
+}
+
+// Returns when a remote blocklist should be checked next (ms timestamp).
+// After failures: exponential backoff from the last failure, but never before a Retry-After/rate-limit reset.
+// Otherwise: the list's interval after the last successful check, with ±UPDATE_JITTER spread.
+// Lists never checked before are fetched shortly after startup.
+// Linked to: scheduleBlocklistUpdate(), getUpdateInterval(), blocklistUpdateState
+function getNextUpdateTime(settings, blocklist) {
+  const state = getUpdateState(blocklist.file);
+  const jitter = 1 + (Math.random() * 2 - 1) * UPDATE_JITTER;
+  if (state.failures > 0 && state.last_failure) {
+    const backoff = Math.min(UPDATE_RETRY_MAX, UPDATE_RETRY_BASE * Math.pow(2, state.failures - 1));
+    return Math.max(state.last_failure + backoff * jitter, state.retry_after || 0);
+  }
+  if (!state.last_success) {
+    return Date.now() + Math.random() * INITIAL_UPDATE_DELAY;
+  }
+  return state.last_success + getUpdateInterval(settings, blocklist) * jitter;
+}
+
+// Runs one update of a remote blocklist (fetch, reload if changed) and schedules its next check, even if the update throws.
+// Linked to: fetchAndUpdateBlocklist(), updateSingleBlocklist(), scheduleBlocklistUpdate(), updateBlocklistsNow()
+async function runBlocklistUpdate(socket, settings, extension, file) {
+  if (updatesInProgress.has(file)) {
+    console.log(`[TTH Block] Update of ${file} already in progress, skipping`);
+    return false;
+  }
+  const blocklist = blocklistFiles.find(b => b.file === file);
+  if (!blocklist || !blocklist.url || blocklist.url === 'Internal' || !isValidBlocklistURL(blocklist.url)) {
+    return false;
+  }
+  updatesInProgress.add(file);
+  let updated = false;
+  try {
+    updated = await fetchAndUpdateBlocklist(socket, settings, blocklist);
+    if (updated) {
+      await updateSingleBlocklist(socket, settings, file, true);
+    }
+  } finally {
+    updatesInProgress.delete(file);
+    // Also after a failure, so the list keeps being checked
+    scheduleBlocklistUpdate(socket, settings, extension, blocklist);
+  }
+  return updated;
+}
+
+// Schedules the next check of a single remote blocklist, replacing any pending timer.
+// Linked to: getNextUpdateTime(), runBlocklistUpdate(), MAX_TIMER_DELAY
+function scheduleBlocklistUpdate(socket, settings, extension, blocklist) {
+  clearTimeout(updateTimers.get(blocklist.file));
+  const nextUpdate = getNextUpdateTime(settings, blocklist);
+  const delay = Math.max(0, nextUpdate - Date.now());
+  const timer = setTimeout(() => {
+    updateTimers.delete(blocklist.file);
+    if (delay > MAX_TIMER_DELAY) {
+      scheduleBlocklistUpdate(socket, settings, extension, blocklist);
+    } else {
+      runBlocklistUpdate(socket, settings, extension, blocklist.file).catch(err => {
+        console.error(`[TTH Block] Scheduled update of ${blocklist.file} failed: ${err.message}`);
+      });
+    }
+  }, Math.min(delay, MAX_TIMER_DELAY));
+  updateTimers.set(blocklist.file, timer);
+  console.log(`[TTH Block] Next update of ${blocklist.file} in ${Math.round(delay / 60000)} minute(s) (${new Date(nextUpdate).toISOString()})`);
+}
+
+// Schedules the next check of every remote blocklist, each on its own timer.
+// Called at startup and whenever blocklists, subscriptions or intervals change; stale timers are cleared.
+// Linked to: scheduleBlocklistUpdate(), extension.onStop()
+function scheduleBlocklistUpdates(socket, settings, extension) {
+  updateTimers.forEach(timer => clearTimeout(timer));
+  updateTimers.clear();
+  blocklistFiles
+    .filter(b => b.url && b.url !== 'Internal' && isValidBlocklistURL(b.url))
+    .forEach(blocklist => scheduleBlocklistUpdate(socket, settings, extension, blocklist));
+  // Seen in logs: [TTH Block] Next update of remote_blocklist.json in 58 minute(s) (2025-08-27T20:00:00.000Z)
+}
+
+// Checks all remote blocklists immediately, ignoring their schedule and any backoff, then reschedules them.
+// Returns the summary that is also posted as an event.
+// Linked to: runBlocklistUpdate(), extension menu item update_blocklists_now, handleChatCommand()
+async function updateBlocklistsNow(socket, settings, extension) {
+  const remoteBlocklists = blocklistFiles.filter(b => b.url && b.url !== 'Internal' && isValidBlocklistURL(b.url));
+  const updated = [];
+  for (const blocklist of remoteBlocklists) {
+    clearTimeout(updateTimers.get(blocklist.file));
+    updateTimers.delete(blocklist.file);
+    if (await runBlocklistUpdate(socket, settings, extension, blocklist.file)) {
+      updated.push(blocklist.file);
+    }
+  }
+  const failed = remoteBlocklists.filter(b => getUpdateState(b.file).failures > 0).map(b => b.file);
+  const summary = `Checked ${remoteBlocklists.length} remote blocklist(s): ${updated.length} updated (${updated.join(', ') || 'none'}), ${failed.length} failed (${failed.join(', ') || 'none'})`;
+  await socket.post('events', {
+    text: summary,
+    severity: failed.length > 0 ? 'warning' : 'info'
+  });
+  return summary;
+}
+
+// Retrieves TTH and metadata (name, size, source user/hub) of a search result by fetching the instance results.
+// Falls back to using the ID directly when it's a TTH and the result can't be fetched.
+// Returns: { tth, name, size, source_user, source_hub } or null
+// Linked to: addToBlocklist()
+async function addTTHFromSearch(socket, entityId, resultId) {
+  let result = null;
+  try {
+    const results = await socket.get(`search/instances/${entityId}/results`);
+    console.log(`[TTH Block] Search results for instance ${entityId}:`, JSON.stringify(results, null, 2));
+    result = results.find(r => r.id === resultId) || null;
+  } catch (err) {
+    console.error(`[TTH Block] Failed to fetch search results for instance ${entityId}:`, JSON.stringify(err, null, 2));
+  }
+  if (result) {
+    console.log(`[TTH Block] Found search result for ID ${resultId}:`, JSON.stringify(result, null, 2));
+    const isFile = result.type === 'file' || (result.type && result.type.id === 'file');
+    if (isFile && result.tth) {
+      const user = (result.users && result.users.user) || {};
+      return {
+        tth: result.tth,
+        name: result.name,
+        size: result.size,
+        source_user: user.nicks,
+        source_hub: user.hub_names
+      };
+    }
+    console.log(`[TTH Block] Search result ${resultId} is not a file or has no TTH`);
+    return null;
+  }
+  if (isValidTTH(resultId)) {
+    console.log(`[TTH Block] Search result ${resultId} not found in results list, using ID as TTH`);
+    return { tth: resultId };
+  }
+  console.log(`[TTH Block] Search result ${resultId} not found in results list`);
+  return null;
+}
+
+// Waits until a filelist session has loaded the given directory, downloading partial lists if needed.
+// Polls the session because directory changes are processed asynchronously by AirDC++.
+// Linked to: collectFilelistDirectoryTTHs()
+async function waitForFilelistDirectory(socket, entityId, listPath, timeout = 60000) {
+  const started = Date.now();
+  while (Date.now() - started < timeout) {
+    const session = await socket.get(`filelists/${entityId}`);
+    const location = session.location || {};
+    const loaded = session.state && session.state.id === 'loaded';
+    if (location.path === listPath && loaded && !(location.type && location.type.complete === false)) {
+      return location;
+    }
+    await new Promise(resolve => setTimeout(resolve, 500));
+  }
+  throw new Error(`Timed out while loading directory ${listPath}`);
+}
+
+// Recursively collects the TTHs of all files under a filelist directory.
+// Navigates the filelist session into each directory so that not-yet-loaded subdirectories are fetched from the user.
+// Files without a valid TTH and subdirectories that fail to load are counted as unreadable.
+// Linked to: addTTHFromFilelist(), waitForFilelistDirectory()
+async function collectFilelistDirectoryTTHs(socket, entityId, listPath, comment, result) {
+  await socket.post(`filelists/${entityId}/directory`, { list_path: listPath, reload: false });
+  const location = await waitForFilelistDirectory(socket, entityId, listPath);
+  const count = location.type ? (location.type.files || 0) + (location.type.directories || 0) : 0;
+  const items = count > 0 ? await socket.get(`filelists/${entityId}/items/0/${count}`) : [];
+  const subdirectories = [];
+  for (const item of items) {
+    if (item.type && item.type.id === 'directory') {
+      subdirectories.push(item.path);
+    } else if (item.tth && isValidTTH(item.tth)) {
+      result.tths.push({ tth: item.tth, comment, path: item.path, name: item.name, size: item.size });
+    } else {
+      console.warn(`[TTH Block] Filelist item ${item.path || item.name} has no valid TTH, skipping`);
+      result.unreadable++;
+    }
+  }
+  for (const subdirectory of subdirectories) {
+    try {
+      await collectFilelistDirectoryTTHs(socket, entityId, subdirectory, comment, result);
+    } catch (err) {
+      console.error(`[TTH Block] Failed to load filelist directory ${subdirectory}: ${err.message}`);
+      result.unreadable++;
+    }
+  }
+}
+
+// Retrieves the TTHs of a queue bundle (every file in it), a queued file or a transfer together with the queue file IDs,
+// so addToBlocklist() can remove the files from the queue once their TTHs are blocked.
+// Transfers without a TTH of their own are resolved through their queue file; uploads have no queue file to remove.
+// Returns: { tths: [{ tth, comment, name, size, queue_file_id, source_user, source_hub }], unreadable }
+// Linked to: addToBlocklist(), removeQueuedFiles()
+async function addTTHFromQueue(socket, menuType, id) {
+  const result = { tths: [], unreadable: 0 };
+  try {
+    if (menuType === 'queue_bundle') {
+      const bundle = await socket.get(`queue/bundles/${id}`);
+      const files = await socket.get(`queue/bundles/${id}/files/0/${QUEUE_LIST_LIMIT}`);
+      files.forEach(file => {
+        if (file.tth && isValidTTH(file.tth)) {
+          result.tths.push({ tth: file.tth, comment: bundle.name, name: file.name, size: file.size, queue_file_id: file.id });
+        } else {
+          result.unreadable++;
+        }
+      });
+      console.log(`[TTH Block] Collected ${result.tths.length} TTH(s) from queue bundle ${bundle.name} (${result.unreadable} unreadable)`);
+      return result;
+    }
+    let file;
+    let transfer = null;
+    if (menuType === 'transfer') {
+      transfer = await socket.get(`transfers/${id}`);
+      const queueFileId = transfer.queue_file_id;
+      file = transfer.tth || !queueFileId ? { tth: transfer.tth, name: transfer.name, size: transfer.size, id: queueFileId } : await socket.get(`queue/files/${queueFileId}`);
+    } else {
+      file = await socket.get(`queue/files/${id}`);
+    }
+    if (file && file.tth && isValidTTH(file.tth)) {
+      const user = (transfer && transfer.user) || {};
+      result.tths.push({
+        tth: file.tth,
+        comment: '',
+        name: file.name,
+        size: file.size,
+        queue_file_id: transfer && !transfer.download ? undefined : file.id,
+        source_user: user.nicks,
+        source_hub: user.hub_names
+      });
+    } else {
+      console.log(`[TTH Block] ${menuType} ${id} has no TTH`);
+      result.unreadable++;
+    }
+  } catch (err) {
+    console.error(`[TTH Block] Failed to fetch ${menuType} ${id}: ${err.message}`);
+    result.unreadable++;
+  }
+  return result;
+}
+
+// Removes queued files (by queue file ID) after their TTHs were blocked from a queue or transfer menu.
+// Files already gone from the queue, e.g. purged by purgeBlockedQueueFiles(), are skipped.
+// Returns the names of the removed files.
+// Linked to: addToBlocklist(), addTTHFromQueue()
+async function removeQueuedFiles(socket, files) {
+  const removed = [];
+  for (const file of files) {
+    try {
+      await socket.post(`queue/files/${file.queue_file_id}/remove`, { remove_finished: false });
+      removed.push(file.name || file.tth);
+      console.log(`[TTH Block] Removed queued file ${file.name || file.queue_file_id} (TTH: ${file.tth})`);
+    } catch (err) {
+      console.warn(`[TTH Block] Failed to remove queued file ${file.name || file.queue_file_id}: ${err.message}`);
+    }
+  }
+  if (removed.length > 0) {
+    await socket.post('events', {
+      text: `Removed ${removed.length} blocked file(s) from the queue: ${removed.slice(0, 20).join(', ')}${removed.length > 20 ? ` and ${removed.length - 20} more` : ''}`,
+      severity: 'info'
+    });
+  }
+  return removed;
+}
+
+// Retrieves TTHs from a filelist item. Files return their own TTH; directories are walked recursively
+// and every file TTH is returned with the directory path as the comment.
+// Requires the filelist directory containing the selected item to be loaded in the AirDC++ UI.
+// Returns: { tths: [{ tth, comment, name, size }], unreadable, source_user, source_hub }
+// Linked to: addToBlocklist(), collectFilelistDirectoryTTHs()
+async function addTTHFromFilelist(socket, entityId, itemId) {
+  console.log(`[TTH Block] Entering addTTHFromFilelist with entityId: ${entityId}, itemId: ${itemId}`);
+  const result = { tths: [], unreadable: 0, source_user: undefined, source_hub: undefined };
+  let filelistPath = 'unknown';
+  try {
+    const filelistSession = await socket.get(`filelists/${entityId}`);
+    filelistPath = filelistSession.location?.path || 'unknown';
+    result.source_user = filelistSession.user && filelistSession.user.nicks;
+    result.source_hub = filelistSession.user && filelistSession.user.hub_names;
+    console.log(`[TTH Block] Filelist session for ${entityId} at path ${filelistPath}:`, JSON.stringify(filelistSession, null, 2));
+  } catch (err) {
+    console.error(`[TTH Block] Failed to fetch filelist session for ${entityId}:`, JSON.stringify(err, null, 2));
+  }
+  let item;
+  try {
+    console.log(`[TTH Block] Attempting API call: GET filelists/${entityId}/items/${itemId}`);
+    item = await socket.get(`filelists/${entityId}/items/${itemId}`);
+    console.log(`[TTH Block] Retrieved item ${itemId} from filelist ${entityId} at path ${item.path || filelistPath}:`, JSON.stringify(item, null, 2));
+  } catch (err) {
+    console.error(`[TTH Block] Failed to fetch filelist item ${itemId}:`, JSON.stringify(err, null, 2));
+    console.warn(`[TTH Block] Failed to fetch item ${itemId} in filelist ${entityId} (path: ${filelistPath}). Ensure you have navigated into the directory containing the file and it is fully loaded in the AirDC++ UI`);
+    await socket.post('events', {
+      text: `Failed to add TTH for item ${itemId} in filelist ${entityId} (path: ${filelistPath}). Ensure you have navigated into the directory containing the file and it is fully loaded in the AirDC++ UI`,
+      severity: 'warning',
+    });
+    result.unreadable++;
+    return result;
+  }
+  if (item && item.type && item.type.id === 'directory') {
+    console.log(`[TTH Block] Selected item ${itemId} is a directory, collecting TTHs recursively from ${item.path}`);
+    try {
+      await collectFilelistDirectoryTTHs(socket, entityId, item.path, item.path, result);
+    } catch (err) {
+      console.error(`[TTH Block] Failed to walk filelist directory ${item.path}: ${err.message}`);
+      await socket.post('events', {
+        text: `Failed to read directory ${item.path} in filelist ${entityId}: ${err.message}`,
+        severity: 'warning',
+      });
+      result.unreadable++;
+    } finally {
+      // Return the UI to the directory the user was browsing
+      if (filelistPath !== 'unknown') {
+        try {
+          await socket.post(`filelists/${entityId}/directory`, { list_path: filelistPath, reload: false });
+        } catch (err) {
+          console.warn(`[TTH Block] Failed to restore filelist location ${filelistPath}: ${err.message}`);
+        }
+      }
+    }
+    console.log(`[TTH Block] Collected ${result.tths.length} TTH(s) from directory ${item.path} (${result.unreadable} unreadable)`);
+  } else if (item && item.type && item.type.id === 'file' && item.tth) {
+    console.log(`[TTH Block] Found valid TTH for item ${itemId}: ${item.tth}`);
+    result.tths.push({ tth: item.tth, comment: '', name: item.name, size: item.size });
+  } else {
+    console.log(`[TTH Block] Filelist item ${itemId} has no TTH or is invalid:`, JSON.stringify(item, null, 2));
+    result.unreadable++;
+  }
+  return result;
+}
+
+// Reads a writable list (internal_blocklist.json or allowlist.json) for modification, falling back to an empty default structure.
+// Shared by the context menu actions that append or remove entries.
+// Linked to: addToBlocklist(), removeFromBlocklist(), addToAllowlist(), loadAllowlist()
+function readWritableList(filePath) {
+  let blocklist = {
+    url: 'Internal',
+    version: 'Internal',
+    updated_at: new Date().toISOString(),
+    description: filePath === ALLOWLIST_FILE ? 'Allowlist' : 'Internal',
+    tths: []
+  };
+  if (fs.existsSync(filePath)) {
+    const data = fs.readFileSync(filePath, 'utf-8');
+    if (data.trim() !== '') {
+      blocklist = JSON.parse(data);
+      if (!Array.isArray(blocklist.tths)) {
+        console.warn(`[TTH Block] Invalid blocklist format in ${filePath}, resetting tths`);
+        blocklist.tths = [];
+      }
+    }
+  }
+  return blocklist;
+}
+
+// Builds the submenu of an "Add TTH to blocklist" menu item: one entry per writable blocklist, each with the
+// BLOCK_DURATIONS. With only internal_blocklist.json, the durations are shown directly.
+// Used as a getter, so lists created or removed in settings show up without registering the menu again.
+// Example: getBlockMenuChildren('add_tth_to_blocklist', 'search', 'Search', (data, file, days) => ...)
+// Linked to: getWritableBlocklists(), addToBlocklist(), extension.onStart()
+function getBlockMenuChildren(id, access, label, onSelect) {
+  const getDurationItems = (prefix, file) => BLOCK_DURATIONS.map(duration => ({
+    id: `${prefix}_${duration.id}`,
+    title: duration.title,
+    onClick: async (data) => {
+      console.log(`[TTH Block] ${label} menu item "${prefix}_${duration.id}" clicked with data:`, data);
+      await onSelect(data, file, duration.days);
+    },
+    formDefinitions: REASON_FORM_DEFINITIONS,
+    access
+  }));
+  const targets = getWritableBlocklists();
+  if (targets.length === 1) {
+    return getDurationItems(id, targets[0].file);
+  }
+  return targets.map(target => ({
+    id: `${id}_${target.file}`,
+    title: target.name,
+    access,
+    children: getDurationItems(`${id}_${target.file}`, target.file)
+  }));
+}
+
+// Adds TTHs to a writable blocklist (internal_blocklist.json by default) from search results or filelists via context menu actions.
+// Stores the reason as the entry comment together with the file name, size, source user/hub and menu source.
+// Pass days to block temporarily: the entry gets an expires_at timestamp and is pruned once it has passed.
+// For menuType 'chat', selectedIds are already resolved entries ({ tth, name, size }) from handleChatCommand().
+// For queue bundles, queued files and transfers, the affected files are removed from the queue right after blocking.
+// Validates settings and TTHs; TTHs already in the target list (unless expired) are skipped as duplicates.
+// The entries are indexed in blocklistTTHMap and blocklistDetailsMap once the file was written. Returns the added entries.
+// Linked to: addTTHFromSearch(), addTTHFromFilelist(), formatBlocklistJSON(), BLOCK_DURATIONS, handleChatCommand(), getWritableBlocklists()
+async function addToBlocklist(socket, settings, selectedIds, entityId, menuType, reason = '', days = null, targetFile = path.basename(INTERNAL_BLOCKLIST_FILE)) {
+  if (!settings || typeof settings.getValue !== 'function') {
+    console.error(`[TTH Block] Settings object is invalid, cannot add to blocklist`);
+    await socket.post('events', {
+      text: `Cannot add TTHs to blocklist: settings are invalid`,
+      severity: 'error',
+    });
+    return [];
+  }
+  const target = getWritableBlocklists().find(b => b.file === targetFile);
+  if (!target) {
+    console.error(`[TTH Block] Blocklist ${targetFile} is not writable, cannot add to blocklist`);
+    await socket.post('events', {
+      text: `Cannot add TTHs to blocklist ${targetFile}: the list doesn't exist or is not writable`,
+      severity: 'error',
+    });
+    return [];
+  }
+  let enabled;
+  try {
+    enabled = settings.getValue(getBlocklistEnabledKey(targetFile));
+  } catch (err) {
+    enabled = true;
+  }
+  if (!enabled) {
+    console.log(`[TTH Block] ${target.name} (${targetFile}) is disabled, skipping TTH addition`);
+    await socket.post('events', {
+      text: `${target.name} is disabled. Enable it in the extension settings to add TTHs`,
+      severity: 'warning',
+    });
+    return [];
+  }
+  console.log(`[TTH Block] Adding to blocklist from ${menuType} with entityId ${entityId} and selectedIds:`, selectedIds);
+  const addedTTHs = [];
+  let duplicates = 0;
+  let unreadable = 0;
+  const addedFrom = MENU_SOURCES[menuType].added_from;
+  const expiresAt = days ? new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString() : null;
+  const directoryPaths = new Set();
+  const queuedFiles = [];
+  const targetTTHs = blocklistTTHMap.get(targetFile);
+  const batchTTHs = new Set();
+  for (const id of selectedIds) {
+    let candidates = [];
+    if (menuType === 'grouped_search_result') {
+      const result = await addTTHFromSearch(socket, entityId, id);
+      if (result) {
+        candidates.push({ ...result, comment: '' });
+      } else {
+        unreadable++;
+      }
+    } else if (menuType === 'filelist_item') {
+      const result = await addTTHFromFilelist(socket, entityId, id);
+      candidates = result.tths.map(item => ({ ...item, source_user: result.source_user, source_hub: result.source_hub }));
+      unreadable += result.unreadable;
+    } else if (menuType === 'chat') {
+      candidates.push({ ...id, comment: '' });
+    } else if (['queue_bundle', 'queue_file', 'transfer'].includes(menuType)) {
+      const result = await addTTHFromQueue(socket, menuType, id);
+      candidates = result.tths;
+      unreadable += result.unreadable;
+      // Already blocked files are removed as well
+      queuedFiles.push(...candidates.filter(candidate => candidate.queue_file_id !== undefined && candidate.queue_file_id !== null));
+    }
+    for (const candidate of candidates) {
+      const { tth } = candidate;
+      const listed = targetTTHs && targetTTHs.has(tth) && !isEntryExpired(targetFile, tth);
+      if (!listed && !batchTTHs.has(tth)) {
+        batchTTHs.add(tth);
+        // Directory walks store the directory path as the comment, appended to the reason if one was entered
+        if (candidate.comment) {
+          directoryPaths.add(candidate.comment);
+        }
+        const entry = {
+          tth,
+          comment: reason && candidate.comment ? `${reason} (${candidate.comment})` : (reason || candidate.comment || DEFAULT_BLOCK_REASON),
+          timestamp: new Date().toISOString(),
+          name: candidate.name,
+          size: candidate.size,
+          source_user: candidate.source_user,
+          source_hub: candidate.source_hub,
+          added_from: addedFrom,
+          expires_at: expiresAt
+        };
+        ENTRY_METADATA_FIELDS.forEach(field => {
+          if (entry[field] === undefined || entry[field] === null || entry[field] === '') {
+            delete entry[field];
+          }
+        });
+        addedTTHs.push(entry);
+      } else {
+        console.log(`[TTH Block] TTH ${tth} already in ${targetFile}, skipping`);
+        duplicates++;
+      }
+    }
+  }
+  const skippedSummary = `skipped ${duplicates} duplicate(s), ${unreadable} unreadable`;
+  if (addedTTHs.length > 0) {
+    try {
+      const blocklist = readWritableList(target.path);
+      // Replace expired entries of re-added TTHs that haven't been pruned yet
+      const addedSet = new Set(addedTTHs.map(item => item.tth));
+      blocklist.tths = blocklist.tths.filter(item => !item || !addedSet.has(item.tth));
+      blocklist.tths.push(...addedTTHs);
+      blocklist.updated_at = new Date().toISOString();
+      writeBlocklistText(target.path, formatBlocklistJSON(blocklist));
+      lastUpdateWriteTime.set(targetFile, Date.now());
+    } catch (err) {
+      console.error(`[TTH Block] Failed to write blocklist file: ${err.message}`);
+      await socket.post('events', {
+        text: `Failed to write to ${target.name}: ${err.message}`,
+        severity: 'error',
+      });
+      return [];
+    }
+    indexBlocklistEntries(targetFile, addedTTHs);
+    console.log(`[TTH Block] Added ${addedTTHs.length} TTH(s) to ${target.path}`);
+    try {
+      // Remove the selected files first so the purge only handles other queued copies
+      await removeQueuedFiles(socket, queuedFiles);
+      await purgeBlockedQueueFiles(socket, settings, addedTTHs.map(item => item.tth));
+      const directories = [...directoryPaths];
+      await socket.post('events', {
+        text: directories.length > 0 ?
+          `Added ${addedTTHs.length} TTH(s) to ${target.name}${expiresAt ? ` until ${expiresAt}` : ''} from ${directories.join(', ')} (${skippedSummary})` :
+          `Added ${addedTTHs.length} TTH(s) to ${target.name}${expiresAt ? ` until ${expiresAt}` : ''}: ${addedTTHs.map(item => item.tth).join(', ')} (${skippedSummary})`,
+        severity: 'info',
+      });
+    } catch (err) {
+      console.error(`[TTH Block] Failed to clean up the queue after blocking: ${err.message}`);
+      await socket.post('events', {
+        text: `Added ${addedTTHs.length} TTH(s) to ${target.name}, but removing the blocked files from the queue failed: ${err.message}`,
+        severity: 'warning',
+      });
+    }
+  } else {
+    console.log(`[TTH Block] No valid TTHs to add from ${menuType}`);
+    await removeQueuedFiles(socket, queuedFiles);
+    await socket.post('events', {
+      text: `No new TTHs to add from ${MENU_SOURCES[menuType].name} (${skippedSummary}). Ensure selected items are fully loaded in the UI`,
+      severity: 'warning',
+    });
+  }
+  return addedTTHs;
+}
+
+// Removes entries whose expires_at has passed from the writable blocklists and from the loaded index.
+// Remote and local read-only lists aren't rewritten; their expired entries are just ignored.
+// Returns the pruned entries.
+// Linked to: parseExpiry(), unindexBlocklist(), getWritableBlocklists(), EXPIRY_PRUNE_INTERVAL
+async function pruneExpiredEntries(socket) {
+  const now = Date.now();
+  const isExpired = item => {
+    const expiresAt = item ? parseExpiry(item.expires_at) : null;
+    return expiresAt !== null && expiresAt <= now;
+  };
+  const allPruned = [];
+  for (const target of getWritableBlocklists()) {
+    if (!fs.existsSync(target.path)) {
+      continue;
+    }
+    try {
+      const blocklist = readWritableList(target.path);
+      const pruned = blocklist.tths.filter(isExpired);
+      if (pruned.length === 0) {
+        continue;
+      }
+      blocklist.tths = blocklist.tths.filter(item => !isExpired(item));
+      blocklist.updated_at = new Date().toISOString();
+      writeBlocklistText(target.path, formatBlocklistJSON(blocklist));
+      lastUpdateWriteTime.set(target.file, Date.now());
+      const remaining = new Set(blocklist.tths.filter(item => item && item.tth).map(item => item.tth));
+      unindexBlocklist(target.file, pruned.filter(item => item.tth && !remaining.has(item.tth)).map(item => item.tth));
+      const rules = blocklistRuleMap.get(target.file);
+      if (rules) {
+        blocklistRuleMap.set(target.file, rules.filter(rule => rule.expires_at === null || rule.expires_at > now));
+      }
+      const descriptions = pruned.map(item => {
+        const id = item.tth || `rule ${item.pattern !== undefined ? item.pattern : 'size'}`;
+        return item.comment ? `${id} ("${item.comment}")` : id;
+      });
+      console.log(`[TTH Block] Pruned ${pruned.length} expired entr(ies) from ${target.file}: ${descriptions.join(', ')}`);
+      await socket.post('events', {
+        text: `Pruned ${pruned.length} expired entr(ies) from ${target.name}: ${descriptions.slice(0, 20).join(', ')}${descriptions.length > 20 ? ` and ${descriptions.length - 20} more` : ''}`,
+        severity: 'info'
+      });
+      allPruned.push(...pruned);
+    } catch (err) {
+      console.error(`[TTH Block] Failed to prune expired entries from ${target.file}: ${err.message}`);
+      await socket.post('events', {
+        text: `Failed to prune expired entries from ${target.name}: ${err.message}`,
+        severity: 'error'
+      });
+    }
+  }
+  return allPruned;
+}
+
+// Resolves the TTHs of selected search results or filelist items without posting warnings ('chat' passes TTHs through).
+// Used by menu filters, which run every time a context menu is opened.
+// Linked to: removeFromBlocklist(), extension.onStart()
+async function lookupSelectedTTHs(socket, selectedIds, entityId, menuType) {
+  const tths = [];
+  try {
+    if (menuType === 'grouped_search_result') {
+      let results = null;
+      for (const id of selectedIds) {
+        if (isValidTTH(id)) {
+          tths.push(id);
+          continue;
+        }
+        results = results || await socket.get(`search/instances/${entityId}/results`);
+        const result = results.find(r => r.id === id);
+        if (result && result.tth) {
+          tths.push(result.tth);
+        }
+      }
+    } else if (menuType === 'filelist_item') {
+      for (const id of selectedIds) {
+        const item = await socket.get(`filelists/${entityId}/items/${id}`);
+        if (item && item.type && item.type.id === 'file' && item.tth) {
+          tths.push(item.tth);
+        }
+      }
+    } else if (menuType === 'chat') {
+      tths.push(...selectedIds);
+    }
+  } catch (err) {
+    console.warn(`[TTH Block] Failed to look up selected TTHs for ${menuType}: ${err.message}`);
+  }
+  return tths;
+}
+
+// Removes TTHs of selected search results or filelist items (or TTHs given to a chat command) from all writable blocklists.
+// TTHs that are only blocked by read-only local or remote blocklists are reported with the blocking list instead.
+// Returns { removed, readOnly }, or null if the list couldn't be written.
+// Linked to: readWritableList(), lookupSelectedTTHs(), unindexBlocklist(), formatBlocklistJSON(), handleChatCommand()
+async function removeFromBlocklist(socket, settings, selectedIds, entityId, menuType) {
+  console.log(`[TTH Block] Removing from blocklist from ${menuType} with entityId ${entityId} and selectedIds:`, selectedIds);
+  const tths = [...new Set(await lookupSelectedTTHs(socket, selectedIds, entityId, menuType))];
+  const readOnlyTTHs = [];
+  const removedEntries = [];
+  for (const target of getWritableBlocklists()) {
+    try {
+      if (fs.existsSync(target.path)) {
+        const blocklist = readWritableList(target.path);
+        const removed = blocklist.tths.filter(item => tths.includes(item.tth));
+        if (removed.length > 0) {
+          blocklist.tths = blocklist.tths.filter(item => !tths.includes(item.tth));
+          blocklist.updated_at = new Date().toISOString();
+          writeBlocklistText(target.path, formatBlocklistJSON(blocklist));
+          lastUpdateWriteTime.set(target.file, Date.now());
+          removedEntries.push(...removed.map(item => ({ ...item, list: target.name })));
+        }
+      }
+    } catch (err) {
+      console.error(`[TTH Block] Failed to write blocklist file ${target.path}: ${err.message}`);
+      await socket.post('events', {
+        text: `Failed to remove TTHs from ${target.name}: ${err.message}`,
+        severity: 'error',
+      });
+      return null;
+    }
+    unindexBlocklist(target.file, tths);
+  }
+
+  tths.forEach(tth => {
+    const blockingLists = getTTHMemberships(tth).map(membership => membership.file);
+    if (blockingLists.length > 0) {
+      readOnlyTTHs.push({ tth, lists: blockingLists });
+    }
+  });
+
+  if (removedEntries.length > 0) {
+    console.log(`[TTH Block] Removed ${removedEntries.length} TTH(s) from writable blocklists`);
+    await socket.post('events', {
+      text: `Removed ${removedEntries.length} TTH(s) from blocklist: ${removedEntries.map(item => `${item.tth} from ${item.list}${item.comment ? ` (${item.comment})` : ''}`).join(', ')}`,
+      severity: 'info',
+    });
+  }
+  if (readOnlyTTHs.length > 0) {
+    const describeList = file => `${getBlocklistType(file)} blocklist ${file}`;
+    await socket.post('events', {
+      text: `Cannot remove TTH(s) blocked by read-only blocklists: ${readOnlyTTHs.map(({ tth, lists }) => `${tth} (${lists.map(describeList).join(', ')})`).join('; ')}. Disable the blocklist in the extension settings to unblock them`,
+      severity: 'warning',
+    });
+  }
+  if (removedEntries.length === 0 && readOnlyTTHs.length === 0) {
+    console.log(`[TTH Block] No blocked TTHs to remove from ${menuType}`);
+    await socket.post('events', {
+      text: `No blocked TTHs to remove from ${MENU_SOURCES[menuType].name}`,
+      severity: 'warning',
+    });
+  }
+  return { removed: removedEntries, readOnly: readOnlyTTHs };
+}
+
+// Loads allowlist.json into allowedTTHMap, creating an empty allowlist if it doesn't exist.
+// Linked to: readWritableList(), watchBlocklistDir(), extension.onStart()
+function loadAllowlist(socket) {
+  try {
+    const exists = fs.existsSync(ALLOWLIST_FILE);
+    const allowlist = readWritableList(ALLOWLIST_FILE);
+    if (!exists) {
+      writeBlocklistText(ALLOWLIST_FILE, formatBlocklistJSON(allowlist));
+      console.log(`[TTH Block] Allowlist not found, created ${ALLOWLIST_FILE}`);
+    }
+    allowedTTHMap.clear();
+    allowlist.tths.forEach(item => {
+      if (item.tth && isValidTTH(item.tth)) {
+        allowedTTHMap.set(item.tth, item.comment || '');
+      }
+    });
+    console.log(`[TTH Block] Loaded ${allowedTTHMap.size} TTH(s) from allowlist ${ALLOWLIST_FILE}`);
+  } catch (err) {
+    console.error(`[TTH Block] Failed to load allowlist: ${err.message}`);
+    socket.post('events', {
+      text: `Failed to load allowlist: ${err.message}`,
+      severity: 'error'
+    });
+  }
+}
+
+// Adds TTHs of selected search results or filelist items to allowlist.json.
+// Allowlisted TTHs override all blocklists in queueBundleFileAddHook.
+// Linked to: lookupSelectedTTHs(), readWritableList(), formatBlocklistJSON()
+async function addToAllowlist(socket, selectedIds, entityId, menuType) {
+  console.log(`[TTH Block] Adding to allowlist from ${menuType} with entityId ${entityId} and selectedIds:`, selectedIds);
+  const tths = [...new Set(await lookupSelectedTTHs(socket, selectedIds, entityId, menuType))];
+  const addedTTHs = tths
+    .filter(tth => !allowedTTHMap.has(tth))
+    .map(tth => ({ tth, comment: getTTHMemberships(tth).map(membership => `blocked by ${membership.file}`).join(', '), timestamp: new Date().toISOString() }));
+  if (addedTTHs.length === 0) {
+    await socket.post('events', {
+      text: `No new TTHs to allow from ${MENU_SOURCES[menuType].name}`,
+      severity: 'warning',
+    });
+    return;
+  }
+  try {
+    const allowlist = readWritableList(ALLOWLIST_FILE);
+    allowlist.tths.push(...addedTTHs);
+    allowlist.updated_at = new Date().toISOString();
+    writeBlocklistText(ALLOWLIST_FILE, formatBlocklistJSON(allowlist));
+    lastUpdateWriteTime.set(path.basename(ALLOWLIST_FILE), Date.now());
+    addedTTHs.forEach(item => allowedTTHMap.set(item.tth, item.comment));
+    console.log(`[TTH Block] Added ${addedTTHs.length} TTH(s) to ${ALLOWLIST_FILE}`);
+    await socket.post('events', {
+      text: `Added ${addedTTHs.length} TTH(s) to allowlist: ${addedTTHs.map(item => item.tth).join(', ')}`,
+      severity: 'info',
+    });
+  } catch (err) {
+    console.error(`[TTH Block] Failed to write allowlist file: ${err.message}`);
+    await socket.post('events', {
+      text: `Failed to write to allowlist: ${err.message}`,
+      severity: 'error',
+    });
+  }
+}
+
+// Moves a file into the quarantine directory, adding a numeric suffix if the name is taken.
+// Falls back to copy and delete when the quarantine directory is on another device.
+// Linked to: scanShareAgainstBlocklists()
+function moveToQuarantine(filePath, quarantineDir) {
+  fs.mkdirSync(quarantineDir, { recursive: true });
+  const parsed = path.parse(filePath);
+  let target = path.join(quarantineDir, parsed.base);
+  for (let i = 1; fs.existsSync(target); i++) {
+    target = path.join(quarantineDir, `${parsed.name} (${i})${parsed.ext}`);
+  }
+  try {
+    fs.renameSync(filePath, target);
+  } catch (err) {
+    if (err.code !== 'EXDEV') {
+      throw err;
+    }
+    fs.copyFileSync(filePath, target);
+    fs.unlinkSync(filePath);
+  }
+  return target;
+}
+
+// Audits shared files against the loaded blocklists. Walks the selected share roots through the own filelist,
+// matches file TTHs against the membership index and resolves the real paths of matches via the share API.
+// Writes a JSON report to the extension's config folder and optionally excludes the files from share
+// or moves them to the quarantine directory (followUp: 'report', 'exclude' or 'quarantine').
+// Linked to: collectFilelistDirectoryTTHs(), getTTHMemberships(), moveToQuarantine()
+async function scanShareAgainstBlocklists(socket, settings, extension, rootIds, followUp = 'report') {
+  console.log(`[TTH Block] Scanning share against blocklists (roots: ${rootIds ? rootIds.join(', ') : 'all'}, follow-up: ${followUp})`);
+  const matches = [];
+  let scannedFiles = 0;
+  let unreadable = 0;
+  const unscanned = [];
+  try {
+    const allRoots = await socket.get('share/roots');
+    const roots = rootIds ? allRoots.filter(root => rootIds.includes(root.id)) : allRoots;
+    if (roots.length === 0) {
+      throw new Error('no share roots to scan');
+    }
+    // Own filelists only contain the roots of one share profile, so the roots are walked in one session per profile.
+    // A root in several profiles is walked once, through a profile already chosen for another root if possible.
+    // The own filelist session is reused for every profile, so each one is closed before opening the next. A session
+    // the user already had open is left open at its previous location; if it stays on another profile, its roots
+    // are reported as unscanned.
+    const rootProfiles = root => (root.profiles || []).map(profile => profile.id !== undefined ? profile.id : profile);
+    const profileRoots = new Map();
+    roots.forEach(root => {
+      const profiles = rootProfiles(root);
+      const openedProfile = profiles.find(id => profileRoots.has(id));
+      const profile = openedProfile !== undefined ? openedProfile : (profiles.length > 0 ? profiles[0] : null);
+      profileRoots.set(profile, [...(profileRoots.get(profile) || []), root]);
+    });
+    const walked = [];
+    for (const [profile, profileRootList] of profileRoots) {
+      const existingSessions = await socket.get('filelists');
+      const session = await socket.post('filelists/self', profile !== null ? { share_profile: profile } : {});
+      const existingSession = existingSessions.find(existing => existing.id === session.id);
+      const closeSession = !existingSession;
+      const previousPath = existingSession && existingSession.location ? existingSession.location.path : null;
+      const sessionProfile = session.share_profile && session.share_profile.id !== undefined ? session.share_profile.id : session.share_profile;
+      if (profile !== null && sessionProfile !== undefined && sessionProfile !== null && sessionProfile !== profile) {
+        console.warn(`[TTH Block] Own filelist is open for share profile ${sessionProfile} instead of ${profile}, skipping roots: ${profileRootList.map(root => root.path).join(', ')}`);
+        unscanned.push(...profileRootList.map(root => root.path));
+        continue;
+      }
+      try {
+        for (const root of profileRootList) {
+          const result = { tths: [], unreadable: 0 };
+          try {
+            await collectFilelistDirectoryTTHs(socket, session.id, `/${root.virtual_name}/`, root.path, result);
+          } catch (err) {
+            console.error(`[TTH Block] Failed to walk share root ${root.path} (share profile: ${profile}): ${err.message}`);
+            result.unreadable++;
+          }
+          walked.push(result);
+        }
+      } finally {
+        if (closeSession) {
+          await socket.delete(`filelists/${session.id}`).catch(err => console.warn(`[TTH Block] Failed to close own filelist: ${err.message}`));
+        } else if (previousPath) {
+          // Return the UI to the directory the user was browsing
+          try {
+            await socket.post(`filelists/${session.id}/directory`, { list_path: previousPath, reload: false });
+          } catch (err) {
+            console.warn(`[TTH Block] Failed to restore filelist location ${previousPath}: ${err.message}`);
+          }
+        }
+      }
+    }
+    for (const result of walked) {
+      scannedFiles += result.tths.length;
+      unreadable += result.unreadable;
+      for (const file of result.tths) {
+        const memberships = getTTHMemberships(file.tth);
+        if (memberships.length === 0 || allowedTTHMap.has(file.tth)) {
+          continue;
+        }
+        let realPaths = [];
+        try {
+          realPaths = await socket.post('share/find_dupe_paths', { tth: file.tth });
+        } catch (err) {
+          console.warn(`[TTH Block] Failed to resolve real paths for ${file.tth}: ${err.message}`);
+        }
+        (realPaths.length > 0 ? realPaths : [null]).forEach(realPath => {
+          matches.push({
+            path: realPath,
+            virtual_path: file.path,
+            size: file.size,
+            tth: file.tth,
+            lists: memberships.map(({ file: list, comment }) => ({ file: list, comment }))
+          });
+        });
+      }
+    }
+  } catch (err) {
+    console.error(`[TTH Block] Share scan failed: ${err.message}`);
+    await socket.post('events', {
+      text: `Share scan against blocklists failed: ${err.message}`,
+      severity: 'error'
+    });
+    return null;
+  }
+
+  const handled = [];
+  for (const match of matches) {
+    if (followUp === 'report' || !match.path) {
+      continue;
+    }
+    try {
+      if (followUp === 'exclude') {
+        await socket.post('share/excludes/add', { path: match.path });
+        match.action = 'excluded';
+      } else if (followUp === 'quarantine') {
+        let quarantineDir;
+        try {
+          quarantineDir = settings.getValue('quarantine_directory');
+        } catch (err) {
+          quarantineDir = '';
+        }
+        match.action = 'quarantined';
+        match.quarantine_path = moveToQuarantine(match.path, quarantineDir || path.join(extension.configPath, 'quarantine'));
+      }
+      handled.push(match);
+    } catch (err) {
+      console.error(`[TTH Block] Failed to ${followUp} ${match.path}: ${err.message}`);
+      match.action = `failed: ${err.message}`;
+    }
+  }
+
+  const reportFile = path.join(extension.configPath, `share_scan_${new Date().toISOString().replace(/[:.]/g, '-')}.json`);
+  const report = {
+    scanned_at: new Date().toISOString(),
+    scanned_files: scannedFiles,
+    unreadable,
+    unscanned_roots: unscanned,
+    follow_up: followUp,
+    matches
+  };
+  try {
+    fs.writeFileSync(reportFile, JSON.stringify(report, null, 2), 'utf-8');
+  } catch (err) {
+    console.error(`[TTH Block] Failed to write share scan report: ${err.message}`);
+  }
+  console.log(`[TTH Block] Share scan finished: ${matches.length} blocked file(s) in ${scannedFiles} scanned file(s), report written to ${reportFile}`);
+  const unscannedText = unscanned.length > 0 ? `. Not scanned (own filelist open for another share profile): ${unscanned.join(', ')}` : '';
+  const describeMatch = match => `${match.path || match.virtual_path} (${match.size} bytes, TTH: ${match.tth}, blocklists: ${match.lists.map(list => list.file).join(', ')})`;
+  await socket.post('events', {
+    text: matches.length > 0 ?
+      `Share scan found ${matches.length} blocked file(s) in ${scannedFiles} scanned file(s)${followUp !== 'report' ? `, ${handled.length} ${followUp === 'exclude' ? 'excluded from share' : 'moved to quarantine'}` : ''}: ${matches.slice(0, 20).map(describeMatch).join('; ')}${matches.length > 20 ? `; ... (${matches.length - 20} more)` : ''}. Report: ${reportFile}${unscannedText}` :
+      `Share scan found no blocked files in ${scannedFiles} scanned file(s)${unreadable > 0 ? ` (${unreadable} unreadable)` : ''}${unscannedText}`,
+    severity: matches.length > 0 || unscanned.length > 0 ? 'warning' : 'info'
+  });
+  return report;
+}
+
+// Formats a list of line numbers for import reports, truncating long lists.
+// Linked to: importBlocklistFile()
+function formatLineNumbers(lines) {
+  return `${lines.slice(0, 20).join(', ')}${lines.length > 20 ? `, ... (${lines.length - 20} more)` : ''}`;
+}
+
+// Converts a plain text, CSV or magnet link list into a local read-only blocklist JSON file in BLOCKLIST_DIR.
+// Reports duplicate and invalid lines with their line numbers. The source file is renamed to <name>.imported afterwards.
+// Linked to: parseImportText(), importBlocklists(), formatBlocklistJSON()
+async function importBlocklistFile(socket, sourcePath) {
+  const ext = path.extname(sourcePath).toLowerCase();
+  const format = IMPORT_FORMATS[ext];
+  const sourceName = path.basename(sourcePath);
+  try {
+    const { entries, duplicates, invalid } = parseImportText(fs.readFileSync(sourcePath, 'utf-8'), format);
+    const baseName = path.basename(sourcePath, path.extname(sourcePath)).replace(/[^\w.-]+/g, '_');
+    let targetFile = `${baseName}.json`;
+    for (let i = 1; targetFile === path.basename(INTERNAL_BLOCKLIST_FILE) || targetFile === path.basename(ALLOWLIST_FILE) || fs.existsSync(path.join(BLOCKLIST_DIR, targetFile)); i++) {
+      targetFile = `${baseName}_${i}.json`;
+    }
+    const blocklist = {
+      url: null,
+      version: '1.0.0',
+      updated_at: new Date().toISOString(),
+      description: `Imported from ${sourceName}`,
+      tths: entries
+    };
+    writeBlocklistText(path.join(BLOCKLIST_DIR, targetFile), formatBlocklistJSON(blocklist));
+    fs.renameSync(sourcePath, `${sourcePath}.imported`);
+    console.log(`[TTH Block] Imported ${entries.length} TTH(s) from ${sourcePath} into ${targetFile} (${duplicates.length} duplicate(s), ${invalid.length} invalid)`);
+    const details = [
+      duplicates.length > 0 ? `${duplicates.length} duplicate(s) on line(s) ${formatLineNumbers(duplicates)}` : null,
+      invalid.length > 0 ? `${invalid.length} invalid line(s): ${formatLineNumbers(invalid)}` : null
+    ].filter(detail => detail);
+    await socket.post('events', {
+      text: `Imported ${entries.length} TTH(s) from ${sourceName} into blocklist ${targetFile}${details.length > 0 ? ` (${details.join('; ')})` : ''}`,
+      severity: invalid.length > 0 ? 'warning' : 'info'
+    });
+    return { file: targetFile, entries: entries.length, duplicates, invalid };
+  } catch (err) {
+    console.error(`[TTH Block] Failed to import ${sourcePath}: ${err.message}`);
+    await socket.post('events', {
+      text: `Failed to import blocklist ${sourceName}: ${err.message}`,
+      severity: 'error'
+    });
+    return null;
+  }
+}
+
+// Imports all supported files from BLOCKLIST_IMPORT_DIR, creating the folder if needed.
+// Linked to: importBlocklistFile(), extension.onStart()
+async function importBlocklists(socket) {
+  try {
+    fs.mkdirSync(BLOCKLIST_IMPORT_DIR, { recursive: true });
+    const files = fs.readdirSync(BLOCKLIST_IMPORT_DIR).filter(file => IMPORT_FORMATS[path.extname(file).toLowerCase()]);
+    const results = [];
+    for (const file of files) {
+      results.push(await importBlocklistFile(socket, path.join(BLOCKLIST_IMPORT_DIR, file)));
+    }
+    return results.filter(result => result);
+  } catch (err) {
+    console.error(`[TTH Block] Failed to read import directory: ${err.message}`);
+    await socket.post('events', {
+      text: `Failed to read blocklist import directory: ${err.message}`,
+      severity: 'error'
+    });
+    return [];
+  }
+}
+
+// Quotes a CSV field if it contains separators, quotes or line breaks.
+// Linked to: exportBlocklists(), exportBlockHistory()
+function formatCSVField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Writes every loaded blocklist to BLOCKLIST_EXPORT_DIR in the given format (text, csv or magnet).
+// Pattern rules have no TTH and are left out of the exports.
+// Linked to: EXPORT_FORMATS, blocklistTTHMap, extension.onStart()
+async function exportBlocklists(socket, format) {
+  const exported = [];
+  try {
+    fs.mkdirSync(BLOCKLIST_EXPORT_DIR, { recursive: true });
+    for (const file of blocklistTTHMap.keys()) {
+      const blocklist = blocklistFiles.find(b => b.file === file);
+      if (!blocklist) {
+        continue;
+      }
+      const formatLine = item => {
+        if (format === 'csv') {
+          return [item.tth, item.comment, item.name, item.size, item.timestamp].map(formatCSVField).join(',');
+        }
+        if (format === 'magnet') {
+          return `magnet:?xt=urn:tree:tiger:${item.tth}${item.size !== undefined ? `&xl=${item.size}` : ''}${item.name ? `&dn=${encodeURIComponent(item.name)}` : ''}`;
+        }
+        return item.tth;
+      };
+      const exportFile = path.join(BLOCKLIST_EXPORT_DIR, `${getBlocklistBaseName(file)}${EXPORT_FORMATS[format]}`);
+      // Entries are streamed straight into the export file so large lists aren't built up in memory.
+      const fd = fs.openSync(exportFile, 'w');
+      let count = 0;
+      try {
+        if (format === 'csv') {
+          fs.writeSync(fd, 'tth,comment,name,size,timestamp\n');
+        }
+        await readBlocklistEntries(blocklist.path, item => {
+          if (item && item.tth && isValidTTH(item.tth)) {
+            fs.writeSync(fd, `${formatLine(item)}\n`);
+            count++;
+          }
+        });
+      } finally {
+        fs.closeSync(fd);
+      }
+      exported.push(`${path.basename(exportFile)} (${count})`);
+    }
+    console.log(`[TTH Block] Exported blocklists as ${format}: ${exported.join(', ')}`);
+    await socket.post('events', {
+      text: `Exported ${exported.length} blocklist(s) to ${BLOCKLIST_EXPORT_DIR}: ${exported.join(', ') || 'none'}`,
+      severity: 'info'
+    });
+  } catch (err) {
+    console.error(`[TTH Block] Failed to export blocklists: ${err.message}`);
+    await socket.post('events', {
+      text: `Failed to export blocklists as ${format}: ${err.message}`,
+      severity: 'error'
+    });
+  }
+  return exported;
+}
+
+// Returns the settings key that enables or disables a blocklist.
+// Example: getBlocklistEnabledKey('external1.json') -> 'blocklist_external1.json'
+// Linked to: handleChatCommand(), settings.onValuesUpdated
+function getBlocklistEnabledKey(file) {
+  return file === path.basename(INTERNAL_BLOCKLIST_FILE) ? 'internal_block_list' : `blocklist_${file}`;
+}
+
+// Finds a blocklist by file name, name without extension or subscription name (case-insensitive).
+// Linked to: handleChatCommand()
+function findBlocklistByName(settings, name) {
+  const lowerName = name.toLowerCase();
+  return blocklistFiles.find(b => b.file.toLowerCase() === lowerName || getBlocklistBaseName(b.file).toLowerCase() === lowerName) ||
+    blocklistFiles.find(b => {
+      const subscription = getSubscription(settings, b.file);
+      return subscription && subscription.name && subscription.name.toLowerCase() === lowerName;
+    });
+}
+
+// Returns the existing history files, oldest first (block_history.3.jsonl ... block_history.jsonl).
+// Linked to: BLOCK_HISTORY_FILE, queryBlockHistory()
+function getBlockHistoryFiles() {
+  if (!blockHistoryPath) return [];
+  const rotated = [];
+  for (let i = BLOCK_HISTORY_ROTATIONS; i >= 1; i--) {
+    rotated.push(blockHistoryPath.replace(/\.jsonl$/, `.${i}.jsonl`));
+  }
+  return [...rotated, blockHistoryPath].filter(file => fs.existsSync(file));
+}
+
+// Appends a block decision to the history, rotating the file when it grows beyond BLOCK_HISTORY_MAX_SIZE.
+// point: 'queue' (queue_add_bundle_file_hook), 'queue_purge' (purgeBlockedQueueFiles()) or 'share' (share_file_validation_hook)
+// action: the applied blocklist action ('reject', 'pause', 'lowest_priority', 'audit'), 'remove' for purged files
+// or 'allowed' when the allowlist overrode the block.
+// Failures are only logged, so a full disk never affects the decision itself.
+// Linked to: BLOCK_HISTORY_FILE, queueBundleFileAddHook(), purgeBlockedQueueFiles(), shareFileValidationHook()
+function recordBlockHistory(record) {
+  if (!blockHistoryPath) return;
+  const line = `${JSON.stringify({ time: new Date().toISOString(), ...record })}\n`;
+  try {
+    if (fs.existsSync(blockHistoryPath) && fs.statSync(blockHistoryPath).size + Buffer.byteLength(line) > BLOCK_HISTORY_MAX_SIZE) {
+      const rotatedFile = i => blockHistoryPath.replace(/\.jsonl$/, `.${i}.jsonl`);
+      fs.rmSync(rotatedFile(BLOCK_HISTORY_ROTATIONS), { force: true });
+      for (let i = BLOCK_HISTORY_ROTATIONS - 1; i >= 1; i--) {
+        if (fs.existsSync(rotatedFile(i))) fs.renameSync(rotatedFile(i), rotatedFile(i + 1));
+      }
+      fs.renameSync(blockHistoryPath, rotatedFile(1));
+      console.log(`[TTH Block] Rotated block history ${blockHistoryPath}`);
+    }
+    fs.appendFileSync(blockHistoryPath, line, 'utf-8');
+  } catch (err) {
+    console.error(`[TTH Block] Failed to write block history: ${err.message}`);
+  }
+}
+
+// Parses a history time range: a duration back from now (30m, 24h, 7d), a date/time, or <from>..<to> with either side optional.
+// Returns { since, until } in ms (null for an open end), or null if the value isn't a time range.
+// Example: parseBlockHistoryRange('2025-09-01..2025-09-30') -> { since: 1756684800000, until: 1759276799999 }
+// Linked to: parseBlockHistoryFilters()
+function parseBlockHistoryRange(value) {
+  const parseTime = (text, endOfDay) => {
+    const duration = text.match(/^(\d+)([mhdw])$/i);
+    if (duration) {
+      return Date.now() - Number(duration[1]) * { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 }[duration[2].toLowerCase()];
+    }
+    if (!/^\d{4}-\d{2}-\d{2}/.test(text)) return NaN;
+    const time = Date.parse(text);
+    // A plain date as the end of a range includes the whole day
+    return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(text) && !isNaN(time) ? time + 24 * 60 * 60 * 1000 - 1 : time;
+  };
+  const text = String(value || '').trim();
+  if (text === '') return null;
+  const [from, to] = text.includes('..') ? text.split('..') : [text, ''];
+  const since = from ? parseTime(from, false) : null;
+  const until = to ? parseTime(to, true) : null;
+  if (Number.isNaN(since) || Number.isNaN(until) || (since === null && until === null)) return null;
+  return { since, until };
+}
+
+// Builds history filters from chat command arguments or the menu form: a time range, a TTH (or magnet link) and a blocklist name.
+// Arguments that are neither a range nor a TTH form the list name. Returns { since, until, list, tth }
+// Example: parseBlockHistoryFilters(settings, ['7d', 'internal']) -> { since: ..., until: null, list: 'internal_blocklist.json', tth: null }
+// Linked to: queryBlockHistory(), handleChatCommand(), BLOCK_HISTORY_FORM_DEFINITIONS
+function parseBlockHistoryFilters(settings, args) {
+  const filters = { since: null, until: null, list: null, tth: null };
+  const listArgs = [];
+  for (const arg of args.filter(arg => arg && arg.trim() !== '')) {
+    const range = parseBlockHistoryRange(arg);
+    const entry = /^magnet:/i.test(arg) ? parseMagnetLink(arg) : { tth: normalizeTTH(arg) };
+    if (range) {
+      Object.assign(filters, range);
+    } else if (entry && isValidTTH(entry.tth)) {
+      filters.tth = entry.tth;
+    } else {
+      listArgs.push(arg.trim());
+    }
+  }
+  if (listArgs.length > 0) {
+    const blocklist = findBlocklistByName(settings, listArgs.join(' '));
+    // Removed lists can still appear in the history, so unknown names are matched against the recorded file names
+    filters.list = blocklist ? blocklist.file : listArgs.join(' ');
+  }
+  return filters;
+}
+
+// Reads the history records matching the filters, oldest first. Malformed lines (e.g. from a crash mid-write) are skipped.
+// Linked to: getBlockHistoryFiles(), parseBlockHistoryFilters(), showBlockHistory(), exportBlockHistory()
+function queryBlockHistory(filters = {}) {
+  const list = filters.list ? filters.list.toLowerCase() : null;
+  const matches = record => {
+    const time = Date.parse(record.time);
+    if (filters.since !== null && filters.since !== undefined && !(time >= filters.since)) return false;
+    if (filters.until !== null && filters.until !== undefined && !(time <= filters.until)) return false;
+    if (filters.tth && record.tth !== filters.tth) return false;
+    if (list && !(record.lists || []).some(file => file.toLowerCase() === list || getBlocklistBaseName(file).toLowerCase() === list)) return false;
+    return true;
+  };
+  const records = [];
+  getBlockHistoryFiles().forEach(file => {
     try {
-      const results = await socket.get(`search/instances/${entityId}/results`);
-      console.log(`[TTH Block] Search results for instance ${entityId}:`, JSON.stringify(results, null, 2));
-      const result = results.find(r => r.id === resultId);
-      if (result) {
-        console.log(`[TTH Block] Found search result for ID ${resultId}:`, JSON.stringify(result, null, 2));
-        if (result.type === 'file' && result.tth) {
-          return result.tth;
-        } else {
-          console.log(`[TTH Block] Search result ${resultId} is not a file or has no TTH`);
+      fs.readFileSync(file, 'utf-8').split('\n').forEach(line => {
+        if (line.trim() === '') return;
+        try {
+          const record = JSON.parse(line);
+          if (matches(record)) records.push(record);
+        } catch (err) {
+          // Skipped, see above
         }
-      } else {
-        console.log(`[TTH Block] Search result ${resultId} not found in results list`);
-      }
+      });
     } catch (err) {
-      console.error(`[TTH Block] Failed to fetch search results for instance ${entityId}:`, JSON.stringify(err, null, 2));
+      console.error(`[TTH Block] Failed to read block history ${file}: ${err.message}`);
     }
-  }
-  return null;
+  });
+  return records;
 }
 
-// Retrieves TTH from a filelist item, ensuring it’s a file (not a directory) and has a valid TTH.
-// Requires the filelist directory to be fully loaded in the AirDC++ UI.
-// Linked to: addToBlocklist()
-async function addTTHFromFilelist(socket, entityId, itemId) {
-  console.log(`[TTH Block] Entering addTTHFromFilelist with entityId: ${entityId}, itemId: ${itemId}`);
-  let filelistPath = 'unknown';
-  try {
-    const filelistSession = await socket.get(`filelists/${entityId}`);
-    filelistPath = filelistSession.location?.path || 'unknown';
-    console.log(`[TTH Block] Filelist session for ${entityId} at path ${filelistPath}:`, JSON.stringify(filelistSession, null, 2));
-  } catch (err) {
-    console.error(`[TTH Block] Failed to fetch filelist session for ${entityId}:`, JSON.stringify(err, null, 2));
+// Formats a history record as a single line for chat replies and events.
+// Example: '2025-09-01 12:00:00 reject fake.mkv (TTH: QDJ3..., from nick @ Hub) by internal_blocklist.json'
+// Linked to: showBlockHistory(), handleChatCommand()
+function describeBlockHistoryRecord(record) {
+  const source = [record.source_user, record.source_hub].filter(value => value).join(' @ ');
+  return `${String(record.time).replace('T', ' ').replace(/\.\d+Z$/, '')} ${record.point === 'queue_purge' ? 'purge/' : record.point === 'share' ? 'share/' : ''}${record.action} ` +
+    `${record.name || 'unknown'} (TTH: ${record.tth || 'none'}${source ? `, from ${source}` : ''}) by ${(record.lists || []).join(', ') || 'unknown'}`;
+}
+
+// Returns a summary of the latest matching history records (at most BLOCK_HISTORY_QUERY_LIMIT).
+// Linked to: queryBlockHistory(), handleChatCommand(), extension.onStart()
+function showBlockHistory(filters) {
+  const records = queryBlockHistory(filters);
+  if (records.length === 0) {
+    return 'No matching block decisions in the history';
   }
+  const shown = records.slice(-BLOCK_HISTORY_QUERY_LIMIT);
+  return [
+    `${records.length} matching block decision(s)${records.length > shown.length ? `, showing the latest ${shown.length}` : ''}:`,
+    ...shown.map(describeBlockHistoryRecord)
+  ].join('\n');
+}
+
+// Writes the matching history records to block_history.csv in BLOCKLIST_EXPORT_DIR.
+// Returns { file, count } or null on failure.
+// Linked to: queryBlockHistory(), formatCSVField(), handleChatCommand(), extension.onStart()
+async function exportBlockHistory(socket, filters) {
   try {
-    console.log(`[TTH Block] Attempting API call: GET filelists/${entityId}/items/${itemId}`);
-    const item = await socket.get(`filelists/${entityId}/items/${itemId}`);
-    console.log(`[TTH Block] Retrieved item ${itemId} from filelist ${entityId} at path ${item.path || filelistPath}:`, JSON.stringify(item, null, 2));
-    if (item && item.type && item.type.id === 'directory') {
-      console.log(`[TTH Block] Selected item ${itemId} is a directory, skipping TTH addition`);
-      await socket.post('events', {
-        text: `Cannot add TTH for item ${itemId} in filelist ${entityId} (path: ${item.path || filelistPath}): selected item is a directory`,
-        severity: 'warning',
-      });
-      return null;
-    }
-    if (item && item.type && item.type.id === 'file' && item.tth) {
-      console.log(`[TTH Block] Found valid TTH for item ${itemId}: ${item.tth}`);
-      return item.tth;
-    } else {
-      console.log(`[TTH Block] Filelist item ${itemId} has no TTH or is invalid:`, JSON.stringify(item, null, 2));
-    }
+    fs.mkdirSync(BLOCKLIST_EXPORT_DIR, { recursive: true });
+    const exportFile = path.join(BLOCKLIST_EXPORT_DIR, `${path.basename(BLOCK_HISTORY_FILE, '.jsonl')}.csv`);
+    const records = queryBlockHistory(filters);
+    const lines = records.map(record => [
+      record.time, record.point, record.action, record.name, record.tth, record.size, record.source_user, record.source_hub, (record.lists || []).join(' ')
+    ].map(formatCSVField).join(','));
+    fs.writeFileSync(exportFile, ['time,point,action,name,tth,size,source_user,source_hub,lists', ...lines].join('\n') + '\n', 'utf-8');
+    console.log(`[TTH Block] Exported ${records.length} block history record(s) to ${exportFile}`);
+    await socket.post('events', {
+      text: `Exported ${records.length} block history record(s) to ${exportFile}`,
+      severity: 'info'
+    });
+    return { file: exportFile, count: records.length };
   } catch (err) {
-    console.error(`[TTH Block] Failed to fetch filelist item ${itemId}:`, JSON.stringify(err, null, 2));
-    console.warn(`[TTH Block] Failed to fetch item ${itemId} in filelist ${entityId} (path: ${filelistPath}). Ensure you have navigated into the directory containing the file and it is fully loaded in the AirDC++ UI`);
+    console.error(`[TTH Block] Failed to export block history: ${err.message}`);
     await socket.post('events', {
-      text: `Failed to add TTH for item ${itemId} in filelist ${entityId} (path: ${filelistPath}). Ensure you have navigated into the directory containing the file and it is fully loaded in the AirDC++ UI`,
-      severity: 'warning',
+      text: `Failed to export block history: ${err.message}`,
+      severity: 'error'
     });
     return null;
   }
 }
 
-// Adds TTHs to internal_blocklist.json from search results or filelists via context menu actions.
-// Validates settings and TTHs, updating blockedTTHSet and blocklistTTHMap.
-// Linked to: addTTHFromSearch(), addTTHFromFilelist(), formatBlocklistJSON()
-async function addToBlocklist(socket, settings, selectedIds, entityId, menuType) {
-  if (!settings || typeof settings.getValue !== 'function') {
-    console.error(`[TTH Block] Settings object is invalid, cannot add to blocklist`);
-    await socket.post('events', {
-      text: `Cannot add TTHs to blocklist: settings are invalid`,
-      severity: 'error',
-    });
-    return;
-  }
-  if (!settings.getValue('internal_block_list')) {
-    console.log(`[TTH Block] Internal blocklist is disabled, skipping TTH addition`);
-    await socket.post('events', {
-      text: `Internal blocklist is disabled. Enable it in the extension settings to add TTHs`,
-      severity: 'warning',
-    });
-    return;
+// Handles a /tthblock chat command typed in a hub or private chat and returns the reply shown as a status message,
+// or null if the text isn't a /tthblock command. Subcommands reuse the context menu and update code paths:
+// addToBlocklist(), removeFromBlocklist(), updateSingleBlocklist() and runBlocklistUpdate()/fetchAndUpdateBlocklist().
+// Example: handleChatCommand(socket, settings, extension, '/tthblock check QDJ3...') -> 'QDJ3... is blocked by: ...'
+// Linked to: CHAT_COMMAND, CHAT_COMMAND_HELP, extension.onStart()
+async function handleChatCommand(socket, settings, extension, text) {
+  const [command, subcommand = 'help', ...args] = text.trim().split(/\s+/);
+  if (command.toLowerCase() !== CHAT_COMMAND) {
+    return null;
   }
-  console.log(`[TTH Block] Adding to blocklist from ${menuType} with entityId ${entityId} and selectedIds:`, selectedIds);
-  const addedTTHs = [];
-  for (const id of selectedIds) {
-    let tth = null;
-    if (menuType === 'grouped_search_result') {
-      tth = await addTTHFromSearch(socket, entityId, id);
-    } else if (menuType === 'filelist_item') {
-      tth = await addTTHFromFilelist(socket, entityId, id);
+  console.log(`[TTH Block] Handling chat command: ${text.trim()}`);
+  const parseTTHArgument = value => {
+    if (!value) return null;
+    const entry = /^magnet:/i.test(value) ? parseMagnetLink(value) : { tth: normalizeTTH(value) };
+    return entry && isValidTTH(entry.tth) ? entry : null;
+  };
+  const listDescription = file => {
+    const blocklist = blocklistFiles.find(b => b.file === file);
+    return blocklist && blocklist.url && blocklist.url !== 'Internal' && isValidBlocklistURL(blocklist.url) ? `remote blocklist ${file}` : `blocklist ${file}`;
+  };
+
+  switch (subcommand.toLowerCase()) {
+    case 'add': {
+      const entry = parseTTHArgument(args[0]);
+      if (!entry) {
+        return `Usage: ${CHAT_COMMAND} add <tth|magnet> [reason]`;
+      }
+      const added = await addToBlocklist(socket, settings, [entry], null, 'chat', args.slice(1).join(' '));
+      if (added.length > 0) {
+        return `Added ${entry.tth} to the internal blocklist (${added[0].comment})`;
+      }
+      const memberships = getTTHMemberships(entry.tth);
+      return memberships.length > 0 ?
+        `${entry.tth} is already blocked by: ${memberships.map(describeMembership).join(', ')}` :
+        `${entry.tth} was not added, see the event log`;
     }
-    if (tth && !blockedTTHSet.has(tth)) {
-      blockedTTHSet.add(tth);
-      const tthSet = blocklistTTHMap.get(path.basename(INTERNAL_BLOCKLIST_FILE)) || new Set();
-      tthSet.add(tth);
-      blocklistTTHMap.set(path.basename(INTERNAL_BLOCKLIST_FILE), tthSet);
-      addedTTHs.push({ tth, comment: '', timestamp: new Date().toISOString() });
-    } else if (tth) {
-      console.log(`[TTH Block] TTH ${tth} already in blocklist, skipping`);
+    case 'remove': {
+      const entry = parseTTHArgument(args[0]);
+      if (!entry) {
+        return `Usage: ${CHAT_COMMAND} remove <tth>`;
+      }
+      const result = await removeFromBlocklist(socket, settings, [entry.tth], null, 'chat');
+      if (!result) {
+        return `Failed to remove ${entry.tth}, see the event log`;
+      }
+      if (result.readOnly.length > 0) {
+        return `${result.removed.length > 0 ? `Removed from ${result.removed.map(item => item.list).join(', ')}, but ` : ''}${entry.tth} is still blocked by ${result.readOnly[0].lists.map(listDescription).join(', ')}. Disable the list to unblock it`;
+      }
+      return result.removed.length > 0 ? `Removed ${entry.tth} from ${result.removed.map(item => item.list).join(', ')}` : `${entry.tth} is not blocked`;
     }
-  }
-  if (addedTTHs.length > 0) {
-    try {
-      let blocklist = {
-        url: 'Internal',
-        version: 'Internal',
-        updated_at: new Date().toISOString(),
-        description: 'Internal',
-        tths: []
-      };
-      if (fs.existsSync(INTERNAL_BLOCKLIST_FILE)) {
-        const data = fs.readFileSync(INTERNAL_BLOCKLIST_FILE, 'utf-8');
-        if (data.trim() !== '') {
-          blocklist = JSON.parse(data);
-          if (!Array.isArray(blocklist.tths)) {
-            console.warn(`[TTH Block] Invalid blocklist format in ${INTERNAL_BLOCKLIST_FILE}, resetting tths`);
-            blocklist.tths = [];
-          }
+    case 'check': {
+      const entry = parseTTHArgument(args[0]);
+      if (!entry) {
+        return `Usage: ${CHAT_COMMAND} check <tth|magnet>`;
+      }
+      const memberships = getTTHMemberships(entry.tth);
+      const allowed = allowedTTHMap.has(entry.tth) ? ' It is allowlisted, so downloads are not blocked.' : '';
+      return memberships.length > 0 ?
+        `${entry.tth} is blocked by: ${memberships.map(describeMembership).join(', ')}.${allowed}` :
+        `${entry.tth} is not blocked by any enabled blocklist.${allowed}`;
+    }
+    case 'lists': {
+      if (blocklistFiles.length === 0) {
+        return 'No blocklists found';
+      }
+      return blocklistFiles.map(b => {
+        let enabled;
+        try {
+          enabled = settings.getValue(getBlocklistEnabledKey(b.file));
+        } catch (err) {
+          enabled = true;
         }
+        const tthSet = blocklistTTHMap.get(b.file);
+        const rules = blocklistRuleMap.get(b.file) || [];
+        const details = [
+          enabled ? 'enabled' : 'disabled',
+          `${tthSet ? tthSet.size : 0} TTH(s)${rules.length > 0 ? `, ${rules.length} rule(s)` : ''}`,
+          `action: ${getBlocklistAction(settings, b.file)}`,
+          `version: ${blocklistVersions.get(b.file) || b.version || 'none'}`
+        ];
+        if (b.url && b.url !== 'Internal' && isValidBlocklistURL(b.url)) details.push(`remote: ${b.url}`);
+        return `${b.file} (${details.join(', ')})`;
+      }).join('\n');
+    }
+    case 'enable':
+    case 'disable': {
+      const blocklist = args.length > 0 ? findBlocklistByName(settings, args.join(' ')) : null;
+      if (!blocklist) {
+        return `Usage: ${CHAT_COMMAND} ${subcommand.toLowerCase()} <list> (see ${CHAT_COMMAND} lists)`;
       }
-      blocklist.tths.push(...addedTTHs);
-      blocklist.updated_at = new Date().toISOString();
-      fs.writeFileSync(INTERNAL_BLOCKLIST_FILE, formatBlocklistJSON(blocklist), 'utf-8');
-      lastUpdateWriteTime.set(path.basename(INTERNAL_BLOCKLIST_FILE), Date.now());
-      console.log(`[TTH Block] Added ${addedTTHs.length} TTH(s) to ${INTERNAL_BLOCKLIST_FILE}`);
-      await socket.post('events', {
-        text: `Added ${addedTTHs.length} TTH(s) to internal blocklist: ${addedTTHs.map(item => item.tth).join(', ')}`,
-        severity: 'info',
-      });
-    } catch (err) {
-      console.error(`[TTH Block] Failed to write blocklist file: ${err.message}`);
-      await socket.post('events', {
-        text: `Failed to write to internal blocklist: ${err.message}`,
-        severity: 'error',
-      });
+      if (typeof settings.setValue !== 'function') {
+        return 'Settings are unavailable, change the list in the extension settings instead';
+      }
+      // Goes through the settings API, so onValuesUpdated reloads the list like a change in the settings UI
+      await settings.setValue(getBlocklistEnabledKey(blocklist.file), subcommand.toLowerCase() === 'enable');
+      return `${subcommand.toLowerCase() === 'enable' ? 'Enabled' : 'Disabled'} ${listDescription(blocklist.file)}`;
     }
-  } else {
-    console.log(`[TTH Block] No valid TTHs to add from ${menuType}`);
-    await socket.post('events', {
-      text: `No valid TTHs to add from ${menuType === 'grouped_search_result' ? 'search results' : 'filelist'}. Ensure selected items are files and fully loaded in the UI`,
-      severity: 'warning',
-    });
+    case 'update': {
+      if (args.length === 0) {
+        return await updateBlocklistsNow(socket, settings, extension);
+      }
+      const blocklist = findBlocklistByName(settings, args.join(' '));
+      if (!blocklist) {
+        return `Blocklist ${args.join(' ')} not found (see ${CHAT_COMMAND} lists)`;
+      }
+      if (!blocklist.url || blocklist.url === 'Internal' || !isValidBlocklistURL(blocklist.url)) {
+        await updateSingleBlocklist(socket, settings, blocklist.file, false, true);
+        return `Reloaded ${blocklist.file}`;
+      }
+      clearTimeout(updateTimers.get(blocklist.file));
+      updateTimers.delete(blocklist.file);
+      const updated = await runBlocklistUpdate(socket, settings, extension, blocklist.file);
+      const state = getUpdateState(blocklist.file);
+      if (updated) {
+        return `Updated ${blocklist.file} to version ${blocklistVersions.get(blocklist.file) || 'none'}`;
+      }
+      if (state.failures > 0) {
+        return `Failed to update ${blocklist.file}: ${state.last_error}`;
+      }
+      return state.held ? `The update of ${blocklist.file} is held for confirmation, see the event log` : `${blocklist.file} is up to date`;
+    }
+    case 'stats': {
+      let tthCount = 0;
+      let ruleCount = 0;
+      blocklistTTHMap.forEach(tthSet => { tthCount += tthSet.size; });
+      blocklistRuleMap.forEach(rules => { ruleCount += rules.length; });
+      const remoteBlocklists = blocklistFiles.filter(b => b.url && b.url !== 'Internal' && isValidBlocklistURL(b.url));
+      const failing = remoteBlocklists.filter(b => getUpdateState(b.file).failures > 0).map(b => b.file);
+      const held = [...blocklistUpdateState.values()].filter(state => state.held).length;
+      return [
+        `Loaded blocklists: ${blocklistTTHMap.size} of ${blocklistFiles.length} (${remoteBlocklists.length} remote)`,
+        `Blocked TTHs: ${tthCount} (entries in several lists are counted once per list), pattern rules: ${ruleCount}`,
+        `Allowlisted TTHs: ${allowedTTHMap.size}`,
+        `Remote updates: ${failing.length} failing${failing.length > 0 ? ` (${failing.join(', ')})` : ''}, ${held} held`
+      ].join('\n');
+    }
+    case 'history': {
+      const isExport = args.length > 0 && args[0].toLowerCase() === 'export';
+      const filters = parseBlockHistoryFilters(settings, isExport ? args.slice(1) : args);
+      if (!isExport) {
+        return showBlockHistory(filters);
+      }
+      const result = await exportBlockHistory(socket, filters);
+      return result ? `Exported ${result.count} block decision(s) to ${result.file}` : 'Failed to export the block history, see the event log';
+    }
+    default:
+      return CHAT_COMMAND_HELP.join('\n');
   }
 }
 
@@ -920,12 +4166,18 @@ async function watchBlocklistDir(socket, settings, extension) {
   let pendingNewBlocklists = [];
   try {
     fs.watch(BLOCKLIST_DIR, (eventType, filename) => {
-      if (filename && filename.endsWith('.json')) {
+      if (filename && isBlocklistFilename(filename)) {
         clearTimeout(debounceTimeout);
         debounceTimeout = setTimeout(async () => {
           console.log(`[TTH Block] Detected change in blocklist directory: ${filename} (${eventType})`);
           const filePath = path.join(BLOCKLIST_DIR, filename);
           try {
+            if (filename === path.basename(ALLOWLIST_FILE)) {
+              if (Date.now() - (lastUpdateWriteTime.get(filename) || 0) >= 2000) {
+                loadAllowlist(socket);
+              }
+              return;
+            }
             const stats = fs.statSync(filePath);
             if (lastUpdateWriteTime.get(filename) === stats.mtimeMs) {
               console.log(`[TTH Block] Skipping reload for ${filename}: no change since last update (mtime: ${stats.mtimeMs})`);
@@ -936,7 +4188,7 @@ async function watchBlocklistDir(socket, settings, extension) {
               return;
             }
             const oldBlocklists = [...blocklistFiles];
-            blocklistFiles = getBlocklistFiles(socket);
+            blocklistFiles = await getBlocklistFiles(socket);
             const localBlocklists = blocklistFiles.filter(b => !b.url || b.url === 'Internal' || !isValidBlocklistURL(b.url));
             const remoteBlocklists = blocklistFiles.filter(b => b.url && b.url !== 'Internal' && isValidBlocklistURL(b.url));
             pendingNewBlocklists = blocklistFiles.filter(b => !oldBlocklists.some(ob => ob.file === b.file));
@@ -951,6 +4203,7 @@ async function watchBlocklistDir(socket, settings, extension) {
               console.log(`[TTH Block] Notified user: New blocklists ${pendingNewBlocklists.map(b => b.file).join(', ')} detected, settings updated`);
               pendingNewBlocklists.forEach(b => updateSingleBlocklist(socket, settings, b.file));
               pendingNewBlocklists = [];
+              scheduleBlocklistUpdates(socket, settings, extension);
             } else if (updatedBlocklist) {
               const oldBlocklist = oldBlocklists.find(b => b.file === filename);
               if (oldBlocklist && oldBlocklist.mtime !== updatedBlocklist.mtime) {
@@ -990,78 +4243,26 @@ process.on('unhandledRejection', (reason) => {
 module.exports = function (socket, extension) {
   console.log('[TTH Block] Module exported, initializing extension');
   ensureBlocklistDir();
-  blocklistFiles = getBlocklistFiles(socket);
 
   let settings;
+  let configValues = {};
+  // Per-blocklist definitions are added in onStart, since blocklist files are validated asynchronously
+  settingDefinitions = getSettingsDefinitions([], []);
   try {
     const configFile = path.join(extension.configPath, 'config.json');
     // Example: L:\AirDC_Test\Settings\extensions\airdcpp-tthblock-extension\settings\config.json
-    if (fs.existsSync(configFile)) {
-      const data = fs.readFileSync(configFile, 'utf-8');
-      if (data.trim() === '') {
-        console.warn(`[TTH Block] Config file ${configFile} is empty, recreating with defaults`);
-        fs.writeFileSync(configFile, JSON.stringify({ internal_block_list: true, update_interval: 60 }, null, 2), 'utf-8');
-        socket.post('events', {
-          text: `Config file was empty and has been initialized`,
-          severity: 'info'
-        });
-      } else {
-        try {
-          JSON.parse(data); // Validate JSON
-        } catch (err) {
-          console.error(`[TTH Block] Invalid JSON in config file ${configFile}: ${err.message}, recreating with defaults`);
-          fs.writeFileSync(configFile, JSON.stringify({ internal_block_list: true, update_interval: 60 }, null, 2), 'utf-8');
-          socket.post('events', {
-            text: `Invalid JSON in config file, reset to default`,
-            severity: 'error'
-          });
-        }
-      }
-    } else {
-      console.log(`[TTH Block] Config file ${configFile} not found, creating with defaults`);
-      fs.writeFileSync(configFile, JSON.stringify({ internal_block_list: true, update_interval: 60 }, null, 2), 'utf-8');
-      socket.post('events', {
-        text: `Config file not found, created default`,
-        severity: 'info'
-      });
-    }
+    loadRetainedSettings(extension);
+    blockHistoryPath = path.join(extension.configPath, BLOCK_HISTORY_FILE);
+    // Left behind by the previous settings registration, which cached definitions and gave up on conflicts
+    ['settings_cache.json', 'conflict_notified'].forEach(file => fs.rmSync(path.join(extension.configPath, file), { force: true }));
+    configValues = readConfigFile(socket, configFile);
     console.log(`[TTH Block] Initializing SettingsManager with config file: ${configFile}`);
     // Seen in logs: [TTH Block] Initializing SettingsManager with config file: L:\AirDC_Test\Settings\extensions\airdcpp-tthblock-extension\settings\config.json
     settings = SettingsManager(socket, {
       extensionName: extension.name,
       configFile: configFile,
       configVersion: CONFIG_VERSION,
-      definitions: [
-        {
-          key: 'internal_block_list',
-          title: 'Internal blocklist',
-          default_value: true,
-          type: 'boolean'
-        },
-        ...blocklistFiles
-          .filter(blocklist => blocklist.file !== path.basename(INTERNAL_BLOCKLIST_FILE) && (!blocklist.url || !isValidBlocklistURL(blocklist.url) || blocklist.url === null))
-          .map(blocklist => ({
-            key: `blocklist_${blocklist.file}`,
-            title: `Local: ${blocklist.file}`,
-            default_value: true,
-            type: 'boolean'
-          })),
-        {
-          key: 'update_interval',
-          title: 'Update interval for remote blocklists (minutes)',
-          default_value: 60,
-          type: 'number',
-          min: 1
-        },
-        ...blocklistFiles
-          .filter(blocklist => blocklist.url && blocklist.url !== 'Internal' && isValidBlocklistURL(blocklist.url))
-          .map(blocklist => ({
-            key: `blocklist_${blocklist.file}`,
-            title: `Remote: ${blocklist.file}${blocklist.description ? ` (${blocklist.description})` : ''}`,
-            default_value: true,
-            type: 'boolean'
-          }))
-      ],
+      definitions: settingDefinitions,
     });
     console.log(`[TTH Block] SettingsManager initialized successfully`);
     // Seen in logs: [TTH Block] SettingsManager initialized successfully
@@ -1074,15 +4275,11 @@ module.exports = function (socket, extension) {
     settings = {
       getValue: (key) => {
         console.warn(`[TTH Block] Using fallback settings for key ${key}`);
-        const def = [
-          { key: 'internal_block_list', default_value: true },
-          { key: 'update_interval', default_value: 60 },
-          ...blocklistFiles
-            .filter(b => b.file !== path.basename(INTERNAL_BLOCKLIST_FILE))
-            .map(b => ({ key: `blocklist_${b.file}`, default_value: true }))
-        ].find(d => d.key === key);
+        const def = settingDefinitions.find(d => d.key === key);
         return def ? def.default_value : null;
-      }
+      },
+      getValues: () => settingDefinitions.reduce((values, d) => ({ ...values, [d.key]: d.default_value }), {}),
+      load: async () => {}
     };
   }
 
@@ -1090,15 +4287,78 @@ module.exports = function (socket, extension) {
     console.log('[TTH Block] Entering onStart');
     // Seen in logs: [TTH Block] Entering onStart
     try {
-      await settings.load();
+      // The definitions must be complete before loading, SettingsManager only registers and loads defined keys
+      blocklistFiles = await getBlocklistFiles(socket);
+      settingDefinitions.splice(0, settingDefinitions.length, ...getSettingsDefinitions(
+        blocklistFiles.filter(b => !b.url || b.url === 'Internal' || !isValidBlocklistURL(b.url)),
+        blocklistFiles.filter(b => b.url && b.url !== 'Internal' && isValidBlocklistURL(b.url))
+      ));
+      // Keep values of lists that are currently missing, SettingsManager drops values without a definition when saving
+      const orphanedKeys = Object.keys(configValues).filter(key => !settingDefinitions.some(d => d.key === key));
+      if (orphanedKeys.length > 0) {
+        orphanedKeys.forEach(key => {
+          retainedSettingValues[key] = configValues[key];
+        });
+        saveRetainedSettings();
+        console.log(`[TTH Block] Retained settings without a matching blocklist: ${orphanedKeys.join(', ')}`);
+      }
+      await settings.load(migrateSettings);
       console.log(`[TTH Block] Settings loaded successfully`);
-      blocklistFiles = getBlocklistFiles(socket);
-      const localBlocklists = blocklistFiles.filter(b => !b.url || b.url === 'Internal' || !isValidBlocklistURL(b.url));
-      const remoteBlocklists = blocklistFiles.filter(b => b.url && b.url !== 'Internal' && isValidBlocklistURL(b.url));
-      await updateSettingsDefinitions(socket, extension, localBlocklists, remoteBlocklists, settings);
-      loadBlockedTTHs(socket, settings);
+      knownSettingValues = settings.getValues();
+      await importBlocklists(socket);
+      await loadBlockedTTHs(socket, settings);
+      loadAllowlist(socket);
+      loadUpdateState(extension);
+      await syncSubscriptions(socket, settings, extension);
+      await syncUserLists(socket, settings, extension);
+      // Reload lists that are enabled or disabled in settings; TTHs shared with other enabled lists stay blocked
+      settings.onValuesUpdated = (values) => {
+        // The defaults reported while the definitions are replaced are not user changes; the restored values that
+        // follow match knownSettingValues again
+        if (settingDefinitionsUpdating) {
+          return;
+        }
+        const updatedValues = Object.keys(values)
+          .filter(key => JSON.stringify(values[key]) !== JSON.stringify(knownSettingValues[key]))
+          .reduce((changed, key) => ({ ...changed, [key]: values[key] }), {});
+        knownSettingValues = { ...knownSettingValues, ...values };
+        if (updatedValues.subscriptions !== undefined) {
+          // Also reschedules, since per-subscription intervals may have changed
+          syncSubscriptions(socket, settings, extension)
+            .then(() => scheduleBlocklistUpdates(socket, settings, extension))
+            .catch(err => {
+              console.error(`[TTH Block] Failed to sync blocklist subscriptions: ${err.message}`);
+              socket.post('events', {
+                text: `Failed to sync blocklist subscriptions: ${err.message}`,
+                severity: 'error'
+              }).catch(() => {});
+            });
+        } else if (updatedValues.update_interval !== undefined) {
+          scheduleBlocklistUpdates(socket, settings, extension);
+        }
+        if (updatedValues.user_lists !== undefined) {
+          syncUserLists(socket, settings, extension).catch(err => {
+            console.error(`[TTH Block] Failed to sync writable blocklists: ${err.message}`);
+            socket.post('events', {
+              text: `Failed to sync writable blocklists: ${err.message}`,
+              severity: 'error'
+            }).catch(() => {});
+          });
+        }
+        Object.keys(updatedValues).forEach(key => {
+          const filename = key === 'internal_block_list' ? path.basename(INTERNAL_BLOCKLIST_FILE) : (key.startsWith('blocklist_') && !key.startsWith('blocklist_action_') ? key.slice('blocklist_'.length) : null);
+          if (filename && blocklistFiles.some(b => b.file === filename)) {
+            console.log(`[TTH Block] Setting ${key} changed, reloading ${filename}`);
+            updateSingleBlocklist(socket, settings, filename, false, true);
+          }
+        });
+      };
       watchBlocklistDir(socket, settings, extension);
       scheduleBlocklistUpdates(socket, settings, extension);
+      await pruneExpiredEntries(socket);
+      expiryPruneTimer = setInterval(() => {
+        pruneExpiredEntries(socket).catch(err => console.error(`[TTH Block] Failed to prune expired entries: ${err.message}`));
+      }, EXPIRY_PRUNE_INTERVAL);
 
       await socket.post('events', {
         text: `TTH Blocker Extension ${EXTENSION_VERSION} started. Ensure filelist directories are fully loaded in the UI before using the "Add TTH to blocklist" menu`,
@@ -1122,16 +4382,47 @@ module.exports = function (socket, extension) {
               id: 'add_tth_to_blocklist',
               title: 'Add TTH to blocklist',
               icon: { semantic: 'ban' },
-              onClick: async (data) => {
-                console.log('[TTH Block] Search menu item "add_tth_to_blocklist" clicked with data:', data);
-                const { selectedIds, entityId } = data;
-                await addToBlocklist(socket, settings, selectedIds, entityId, 'grouped_search_result');
-              },
               access: 'search',
+              get children() {
+                return getBlockMenuChildren('add_tth_to_blocklist', 'search', 'Search', async (data, file, days) => {
+                  const { selectedIds, entityId, formValues } = data;
+                  await addToBlocklist(socket, settings, selectedIds, entityId, 'grouped_search_result', (formValues && formValues.reason) || '', days, file);
+                });
+              },
               filter: (data) => {
                 console.log(`[TTH Block] Search menu filter result: true, data:`, data);
                 return true;
               }
+            },
+            {
+              id: 'remove_tth_from_blocklist',
+              title: 'Remove TTH from blocklist',
+              icon: { semantic: 'undo' },
+              onClick: async (data) => {
+                console.log('[TTH Block] Search menu item "remove_tth_from_blocklist" clicked with data:', data);
+                const { selectedIds, entityId } = data;
+                await removeFromBlocklist(socket, settings, selectedIds, entityId, 'grouped_search_result');
+              },
+              access: 'search',
+              filter: async (data) => {
+                const tths = await lookupSelectedTTHs(socket, data.selectedIds, data.entityId, 'grouped_search_result');
+                return tths.some(tth => blockedTTHSet.has(tth));
+              }
+            },
+            {
+              id: 'allow_tth',
+              title: 'Always allow this TTH',
+              icon: { semantic: 'checkmark' },
+              onClick: async (data) => {
+                console.log('[TTH Block] Search menu item "allow_tth" clicked with data:', data);
+                const { selectedIds, entityId } = data;
+                await addToAllowlist(socket, selectedIds, entityId, 'grouped_search_result');
+              },
+              access: 'search',
+              filter: async (data) => {
+                const tths = await lookupSelectedTTHs(socket, data.selectedIds, data.entityId, 'grouped_search_result');
+                return tths.some(tth => !allowedTTHMap.has(tth));
+              }
             }
           ],
           'grouped_search_result',
@@ -1146,21 +4437,213 @@ module.exports = function (socket, extension) {
               id: 'add_tth_to_blocklist',
               title: 'Add TTH to blocklist',
               icon: { semantic: 'ban' },
-              onClick: async (data) => {
-                console.log('[TTH Block] Filelist menu item "add_tth_to_blocklist" clicked with data:', data);
-                const { selectedIds, entityId } = data;
-                await addToBlocklist(socket, settings, selectedIds, entityId, 'filelist_item');
-              },
               access: 'filelists_view',
+              get children() {
+                return getBlockMenuChildren('add_tth_to_blocklist', 'filelists_view', 'Filelist', async (data, file, days) => {
+                  const { selectedIds, entityId, formValues } = data;
+                  await addToBlocklist(socket, settings, selectedIds, entityId, 'filelist_item', (formValues && formValues.reason) || '', days, file);
+                });
+              },
               filter: (data) => {
                 console.log(`[TTH Block] Filelist menu filter result: true, data:`, data);
                 return true;
               }
+            },
+            {
+              id: 'remove_tth_from_blocklist',
+              title: 'Remove TTH from blocklist',
+              icon: { semantic: 'undo' },
+              onClick: async (data) => {
+                console.log('[TTH Block] Filelist menu item "remove_tth_from_blocklist" clicked with data:', data);
+                const { selectedIds, entityId } = data;
+                await removeFromBlocklist(socket, settings, selectedIds, entityId, 'filelist_item');
+              },
+              access: 'filelists_view',
+              filter: async (data) => {
+                const tths = await lookupSelectedTTHs(socket, data.selectedIds, data.entityId, 'filelist_item');
+                return tths.some(tth => blockedTTHSet.has(tth));
+              }
+            },
+            {
+              id: 'allow_tth',
+              title: 'Always allow this TTH',
+              icon: { semantic: 'checkmark' },
+              onClick: async (data) => {
+                console.log('[TTH Block] Filelist menu item "allow_tth" clicked with data:', data);
+                const { selectedIds, entityId } = data;
+                await addToAllowlist(socket, selectedIds, entityId, 'filelist_item');
+              },
+              access: 'filelists_view',
+              filter: async (data) => {
+                const tths = await lookupSelectedTTHs(socket, data.selectedIds, data.entityId, 'filelist_item');
+                return tths.some(tth => !allowedTTHMap.has(tth));
+              }
             }
           ],
           'filelist_item',
           subscriberInfo,
         );
+
+        [
+          { menuType: 'queue_bundle', name: 'Queue bundle' },
+          { menuType: 'queue_file', name: 'Queue file' },
+          { menuType: 'transfer', name: 'Transfer' }
+        ].forEach(({ menuType, name }) => {
+          console.log(`[TTH Block] Registering ${menuType} menu items`);
+          addContextMenuItems(
+            socket,
+            [
+              {
+                id: 'block_tth_and_remove',
+                title: 'Add TTH to blocklist and remove from queue',
+                icon: { semantic: 'ban' },
+                access: 'queue_edit',
+                get children() {
+                  return getBlockMenuChildren('block_tth_and_remove', 'queue_edit', name, async (data, file, days) => {
+                    const { selectedIds, entityId, formValues } = data;
+                    await addToBlocklist(socket, settings, selectedIds, entityId, menuType, (formValues && formValues.reason) || '', days, file);
+                  });
+                }
+              }
+            ],
+            menuType,
+            subscriberInfo,
+          );
+        });
+
+        console.log(`[TTH Block] Registering share_root menu items`);
+        addContextMenuItems(
+          socket,
+          [
+            {
+              id: 'scan_share_against_blocklists',
+              title: 'Scan share against blocklists',
+              icon: { semantic: 'search' },
+              access: 'settings_edit',
+              children: [
+                { id: 'report', title: 'Report only' },
+                { id: 'exclude', title: 'Report and exclude from share' },
+                { id: 'quarantine', title: 'Report and move to quarantine' }
+              ].map(followUp => ({
+                id: `scan_share_${followUp.id}`,
+                title: followUp.title,
+                onClick: async (data) => {
+                  console.log(`[TTH Block] Share root menu item "scan_share_${followUp.id}" clicked with data:`, data);
+                  await scanShareAgainstBlocklists(socket, settings, extension, data.selectedIds, followUp.id);
+                },
+                access: 'settings_edit'
+              }))
+            }
+          ],
+          'share_root',
+          subscriberInfo,
+        );
+
+        console.log(`[TTH Block] Registering extension menu items`);
+        addContextMenuItems(
+          socket,
+          [
+            {
+              id: 'import_blocklists',
+              title: 'Import blocklists from import folder',
+              icon: { semantic: 'upload' },
+              onClick: async () => {
+                const results = await importBlocklists(socket);
+                if (results.length === 0) {
+                  await socket.post('events', {
+                    text: `No .txt, .csv or .magnet files found in ${BLOCKLIST_IMPORT_DIR}`,
+                    severity: 'info'
+                  });
+                }
+              },
+              access: 'settings_edit',
+              filter: (data) => data.selectedIds.includes(extension.name)
+            },
+            {
+              id: 'update_blocklists_now',
+              title: 'Update remote blocklists now',
+              icon: { semantic: 'refresh' },
+              onClick: async () => {
+                await updateBlocklistsNow(socket, settings, extension);
+              },
+              access: 'settings_edit',
+              filter: (data) => data.selectedIds.includes(extension.name)
+            },
+            {
+              id: 'apply_held_updates',
+              title: 'Apply held blocklist updates',
+              icon: { semantic: 'checkmark' },
+              onClick: async () => {
+                await applyHeldUpdates(socket, settings);
+              },
+              access: 'settings_edit',
+              filter: (data) => data.selectedIds.includes(extension.name) && [...blocklistUpdateState.values()].some(state => state.held)
+            },
+            {
+              id: 'discard_held_updates',
+              title: 'Discard held blocklist updates',
+              icon: { semantic: 'remove' },
+              onClick: async () => {
+                await discardHeldUpdates(socket);
+              },
+              access: 'settings_edit',
+              filter: (data) => data.selectedIds.includes(extension.name) && [...blocklistUpdateState.values()].some(state => state.held)
+            },
+            {
+              id: 'block_history',
+              title: 'Block history',
+              icon: { semantic: 'history' },
+              access: 'settings_view',
+              filter: (data) => data.selectedIds.includes(extension.name),
+              children: [
+                {
+                  id: 'show_block_history',
+                  title: 'Show block history',
+                  formDefinitions: BLOCK_HISTORY_FORM_DEFINITIONS,
+                  onClick: async (data) => {
+                    const values = data.formValues || {};
+                    await socket.post('events', {
+                      text: showBlockHistory(parseBlockHistoryFilters(settings, [values.range, values.tth, values.list])),
+                      severity: 'info'
+                    });
+                  },
+                  access: 'settings_view'
+                },
+                {
+                  id: 'export_block_history',
+                  title: 'Export block history to CSV',
+                  formDefinitions: BLOCK_HISTORY_FORM_DEFINITIONS,
+                  onClick: async (data) => {
+                    const values = data.formValues || {};
+                    await exportBlockHistory(socket, parseBlockHistoryFilters(settings, [values.range, values.tth, values.list]));
+                  },
+                  access: 'settings_view'
+                }
+              ]
+            },
+            {
+              id: 'export_blocklists',
+              title: 'Export blocklists',
+              icon: { semantic: 'download' },
+              access: 'settings_edit',
+              filter: (data) => data.selectedIds.includes(extension.name),
+              children: [
+                { id: 'text', title: 'Plain text (TTH per line)' },
+                { id: 'csv', title: 'CSV' },
+                { id: 'magnet', title: 'Magnet links' }
+              ].map(format => ({
+                id: `export_blocklists_${format.id}`,
+                title: format.title,
+                onClick: async () => {
+                  await exportBlocklists(socket, format.id);
+                },
+                access: 'settings_edit'
+              }))
+            }
+          ],
+          'extension',
+          subscriberInfo,
+        );
       } else {
         console.warn(`[TTH Block] API feature level too low for menu items, need at least 4, current: ${sessionInfo.system_info.api_feature_level}`);
       }
@@ -1181,13 +4664,55 @@ module.exports = function (socket, extension) {
             accept();
             return;
           }
-          if (fileData.tth && blockedTTHSet.has(fileData.tth)) {
-            console.log(`[TTH Block] Blocked TTH found: ${fileData.tth}`);
+          const target = data.bundle && data.bundle.target ? `${data.bundle.target}${fileData.name || ''}` : (fileData.name || '');
+          const tthMatches = fileData.tth && blockedTTHSet.has(fileData.tth) ? getTTHMemberships(fileData.tth) : [];
+          const matches = [...tthMatches, ...findMatchingRules(fileData.name, target, fileData.size)];
+          // The source user is missing when files are queued without one (e.g. from a magnet link)
+          const user = data.user || {};
+          const historyRecord = action => recordBlockHistory({
+            point: 'queue',
+            name: fileData.name,
+            tth: fileData.tth,
+            size: fileData.size,
+            source_user: user.nicks,
+            source_hub: user.hub_names,
+            lists: [...new Set(matches.map(match => match.file))],
+            action
+          });
+          if (matches.length > 0 && fileData.tth && allowedTTHMap.has(fileData.tth)) {
+            const blockedBy = matches.map(match => match.file).join(', ');
+            historyRecord('allowed');
+            console.log(`[TTH Block] TTH ${fileData.tth} is blocked by ${blockedBy} but allowed by allowlist`);
             await socket.post('events', {
-              text: `Blocked download for file '${fileData.name || 'unknown'}' (TTH: ${fileData.tth})`,
-              severity: 'warning',
+              text: `Download of file '${fileData.name || 'unknown'}' (TTH: ${fileData.tth}) allowed by allowlist (blocked by: ${blockedBy})`,
+              severity: 'info',
             });
-            reject('blocked_tth', 'Download skipped: TTH is blocked by extension');
+            accept();
+          } else if (matches.length > 0) {
+            const blockedBy = matches.map(describeMembership).join(', ');
+            const action = getStrictestAction(settings, matches.map(match => match.file));
+            const fileDescription = `file '${fileData.name || 'unknown'}' (TTH: ${fileData.tth || 'none'}) by blocklist(s): ${blockedBy}`;
+            console.log(`[TTH Block] Blocked file found: ${fileData.name || 'unknown'} (TTH: ${fileData.tth || 'none'}, blocklists: ${blockedBy}, action: ${action})`);
+            historyRecord(action);
+            if (action === 'audit') {
+              await socket.post('events', {
+                text: `Audit: would have blocked download for ${fileDescription}`,
+                severity: 'info',
+              });
+              accept();
+            } else if (action === 'pause' || action === 'lowest_priority') {
+              await socket.post('events', {
+                text: `Queued ${action === 'pause' ? 'paused' : 'with lowest priority'}: ${fileDescription}`,
+                severity: 'warning',
+              });
+              accept({ priority: action === 'pause' ? QUEUE_PRIORITY_PAUSED : QUEUE_PRIORITY_LOWEST });
+            } else {
+              await socket.post('events', {
+                text: `Blocked download for ${fileDescription}`,
+                severity: 'warning',
+              });
+              reject(tthMatches.length > 0 ? 'blocked_tth' : 'blocked_pattern', `Download skipped: ${tthMatches.length > 0 ? 'TTH' : 'file'} is blocked by ${[...new Set(matches.map(match => match.file))].join(', ')}`);
+            }
           } else {
             console.log(`[TTH Block] Allowing file: ${fileData.name || 'unknown'}`);
             accept();
@@ -1198,12 +4723,101 @@ module.exports = function (socket, extension) {
         }
       }
 
+      // Drops (or flags) incoming search results with TTHs from blocklists enabled as search filters.
+      // Linked to: getSearchFilterMemberships(), recordSuppressedSearchResult()
+      async function searchIncomingResultHook(data, accept, reject) {
+        try {
+          const result = data.result || data;
+          let mode;
+          try {
+            mode = settings.getValue('search_filter_mode') || 'drop';
+          } catch (err) {
+            mode = 'drop';
+          }
+          const memberships = mode === 'disabled' ? [] : getSearchFilterMemberships(settings, result.tth);
+          if (memberships.length === 0) {
+            accept();
+            return;
+          }
+          const lists = memberships.map(membership => membership.file);
+          const instanceId = await resolveSearchInstance(socket, data);
+          console.log(`[TTH Block] ${mode === 'flag' ? 'Flagged' : 'Dropped'} search result ${result.name || result.path || 'unknown'} (TTH: ${result.tth}, blocklists: ${lists.join(', ')}, instance: ${instanceId || 'unknown'})`);
+          recordSuppressedSearchResult(socket, instanceId, lists, mode);
+          if (mode === 'flag') {
+            accept();
+          } else {
+            reject('blocked_tth', `Search result hidden: TTH is blocked by ${lists.join(', ')}`);
+          }
+        } catch (err) {
+          console.error(`[TTH Block] Error in search_incoming_user_result_hook:`, err);
+          accept();
+        }
+      }
+
+      // Rejects shared files whose hashed TTH is contained in an enabled blocklist.
+      // Uses the same membership index (only enabled lists are loaded) and allowlist as queueBundleFileAddHook.
+      // Files that haven't been hashed yet carry no TTH and are accepted.
+      // Linked to: getTTHMemberships(), block_sharing setting
+      async function shareFileValidationHook(data, accept, reject) {
+        try {
+          let enabled;
+          try {
+            enabled = settings.getValue('block_sharing');
+          } catch (err) {
+            enabled = false;
+          }
+          if (!enabled || !data.tth || !blockedTTHSet.has(data.tth) || allowedTTHMap.has(data.tth)) {
+            accept();
+            return;
+          }
+          const memberships = getTTHMemberships(data.tth);
+          const blockedBy = memberships.map(describeMembership).join(', ');
+          console.log(`[TTH Block] Rejected shared file ${data.path} (TTH: ${data.tth}, blocklists: ${blockedBy})`);
+          recordBlockHistory({ point: 'share', name: data.path, tth: data.tth, size: data.size, lists: memberships.map(membership => membership.file), action: 'reject' });
+          await socket.post('events', {
+            text: `Excluded file '${data.path}' from share (TTH: ${data.tth}) blocked by blocklist(s): ${blockedBy}`,
+            severity: 'warning',
+          });
+          reject('blocked_tth', `TTH is blocked by blocklist(s): ${blockedBy}`);
+        } catch (err) {
+          console.error(`[TTH Block] Error in share_file_validation_hook:`, err);
+          accept();
+        }
+      }
+
+      // Intercepts /tthblock commands typed in hub or private chats and shows the reply as a local status message.
+      // Linked to: handleChatCommand()
+      async function outgoingMessageHook(sessionType, data, accept, reject) {
+        try {
+          const reply = await handleChatCommand(socket, settings, extension, data.text || '');
+          if (reply === null) {
+            accept();
+            return;
+          }
+          await socket.post(`${sessionType}/${data.session_id}/status_message`, {
+            text: reply,
+            severity: 'info'
+          });
+          reject('command_handled', `${CHAT_COMMAND} command handled by ${queueSubscriberInfo.name}`);
+        } catch (err) {
+          console.error(`[TTH Block] Error handling chat command in ${sessionType}:`, err);
+          reject('command_failed', `${CHAT_COMMAND} command failed: ${err.message}`);
+        }
+      }
+
       if (sessionInfo.system_info.api_feature_level >= 6) {
         socket.addHook('queue', 'queue_add_bundle_file_hook', queueBundleFileAddHook, queueSubscriberInfo);
         console.log('[TTH Block] Registered queue_add_bundle_file_hook');
         // Seen in logs: [TTH Block] Registered queue_add_bundle_file_hook
+        socket.addHook('search', 'search_incoming_user_result_hook', searchIncomingResultHook, queueSubscriberInfo);
+        console.log('[TTH Block] Registered search_incoming_user_result_hook');
+        socket.addHook('share', 'share_file_validation_hook', shareFileValidationHook, queueSubscriberInfo);
+        console.log('[TTH Block] Registered share_file_validation_hook');
+        socket.addHook('hubs', 'hub_outgoing_message_hook', (data, accept, reject) => outgoingMessageHook('hubs', data, accept, reject), queueSubscriberInfo);
+        socket.addHook('private_chat', 'private_chat_outgoing_message_hook', (data, accept, reject) => outgoingMessageHook('private_chat', data, accept, reject), queueSubscriberInfo);
+        console.log('[TTH Block] Registered hub and private chat outgoing message hooks');
       } else {
-        console.warn('[TTH Block] API feature level too low for queue_add_bundle_file_hook, need at least 6, current:', sessionInfo.system_info.api_feature_level);
+        console.warn('[TTH Block] API feature level too low for queue, search, share and chat hooks, need at least 6, current:', sessionInfo.system_info.api_feature_level);
       }
 
       console.log('[TTH Block] Extension started successfully');
@@ -1220,9 +4834,14 @@ module.exports = function (socket, extension) {
 
   extension.onStop = () => {
     console.log('[TTH Block] Extension stopped, cleaning up');
-    if (updateIntervalId) {
-      clearInterval(updateIntervalId);
-      console.log('[TTH Block] Cleared update interval on stop');
+    if (expiryPruneTimer) {
+      clearInterval(expiryPruneTimer);
+      expiryPruneTimer = null;
     }
+    updateTimers.forEach(timer => clearTimeout(timer));
+    updateTimers.clear();
+    console.log('[TTH Block] Cleared update timers on stop');
+    suppressedSearchResults.forEach(entry => clearTimeout(entry.timeout));
+    suppressedSearchResults.clear();
   };
 };
\ No newline at end of file
@@ -0,0 +1,318 @@
+'use strict';
+
+/*
+ * Compact TTH storage and streaming blocklist parsing for the TTH Blocker Extension.
+ * TTHs are stored as 24-byte Tiger digests in an open-addressing hash table instead of 39-character strings,
+ * and blocklist files are parsed entry by entry so multi-million-entry lists never exist as one object tree.
+ * Used by main.js (blocklistTTHMap, loadBlockedTTHs(), updateSingleBlocklist()) and benchmarks/tth-store.js.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+// RFC 4648 base32 alphabet used by TTHs (39 characters encode the 192-bit Tiger digest).
+
+const BASE32_VALUES = new Int8Array(128).fill(-1);
+for (let i = 0; i < BASE32_ALPHABET.length; i++) {
+  BASE32_VALUES[BASE32_ALPHABET.charCodeAt(i)] = i;
+}
+// Reverse lookup table for decodeTTH(); -1 marks characters outside the alphabet.
+
+const DIGEST_SIZE = 24;
+// Size of a Tiger digest in bytes.
+
+const TTH_LENGTH = 39;
+// Length of a base32-encoded TTH.
+
+const MIN_CAPACITY = 1024;
+// Initial number of slots in a TTHSet; always a power of two.
+
+const MAX_LOAD = 0.75;
+// Fill ratio (including deleted slots) at which a TTHSet grows or rehashes.
+
+const SLOT_EMPTY = 0;
+const SLOT_USED = 1;
+const SLOT_DELETED = 2;
+// Slot states of a TTHSet.
+
+// Decodes a base32 TTH into a 24-byte digest written to target at offset.
+// Returns false if the TTH is malformed (wrong length, characters outside the alphabet or non-zero padding bits).
+// Example: decodeTTH('QDJ3QLGZWKAHVA6S44WKPHAGJJ7XY57X33RGQMQ', buffer, 0) -> true
+function decodeTTH(tth, target, offset = 0) {
+  if (typeof tth !== 'string' || tth.length !== TTH_LENGTH) return false;
+  let bits = 0;
+  let value = 0;
+  let index = offset;
+  for (let i = 0; i < TTH_LENGTH; i++) {
+    const code = tth.charCodeAt(i);
+    const digit = code < 128 ? BASE32_VALUES[code] : -1;
+    if (digit < 0) return false;
+    // The last character carries 3 padding bits, which are zero in a canonical TTH; accepting other values would let
+    // several strings map to the same digest
+    if (i === TTH_LENGTH - 1 && (digit & 7) !== 0) return false;
+    value = (value << 5) | digit;
+    bits += 5;
+    if (bits >= 8) {
+      bits -= 8;
+      if (index < offset + DIGEST_SIZE) {
+        target[index++] = (value >>> bits) & 0xff;
+      }
+    }
+  }
+  return true;
+}
+
+// Encodes a 24-byte digest at offset back into its base32 TTH.
+// Example: encodeTTH(buffer, 0) -> 'QDJ3QLGZWKAHVA6S44WKPHAGJJ7XY57X33RGQMQ'
+function encodeTTH(source, offset = 0) {
+  let result = '';
+  let bits = 0;
+  let value = 0;
+  for (let i = offset; i < offset + DIGEST_SIZE; i++) {
+    value = ((value << 8) | source[i]) & 0xffff;
+    bits += 8;
+    while (bits >= 5) {
+      bits -= 5;
+      result += BASE32_ALPHABET[(value >>> bits) & 31];
+    }
+  }
+  return result + BASE32_ALPHABET[(value << (5 - bits)) & 31];
+}
+
+// Set of TTHs backed by a single Buffer of 24-byte digests (open addressing, linear probing).
+// Mirrors the parts of the Set API used by main.js: add(), has(), delete(), clear(), size and iteration.
+// Tiger digests are uniformly distributed, so the first four bytes serve directly as the hash.
+// Example: const set = new TTHSet(); set.add('QDJ3QLGZWKAHVA6S44WKPHAGJJ7XY57X33RGQMQ'); set.has(...) -> true
+class TTHSet {
+  constructor(capacity = MIN_CAPACITY) {
+    this._scratch = Buffer.alloc(DIGEST_SIZE);
+    this._allocate(capacity);
+  }
+
+  get size() {
+    return this._size;
+  }
+
+  _allocate(capacity) {
+    let slots = MIN_CAPACITY;
+    while (slots < capacity) slots *= 2;
+    this._capacity = slots;
+    this._digests = Buffer.alloc(slots * DIGEST_SIZE);
+    this._states = new Uint8Array(slots);
+    this._size = 0;
+    this._filled = 0;
+  }
+
+  // Returns the slot holding the digest in _scratch, or -1 - (first free slot) if it's missing.
+  // Bytes are compared in plain loops; Buffer.compare()/readUInt32LE() calls cost more than the comparison itself.
+  _find() {
+    const scratch = this._scratch;
+    const digests = this._digests;
+    const states = this._states;
+    const mask = this._capacity - 1;
+    let slot = (scratch[0] | (scratch[1] << 8) | (scratch[2] << 16) | (scratch[3] << 24)) & mask;
+    let free = -1;
+    for (;;) {
+      const state = states[slot];
+      if (state === SLOT_EMPTY) {
+        return -1 - (free >= 0 ? free : slot);
+      }
+      if (state === SLOT_DELETED) {
+        if (free < 0) free = slot;
+      } else {
+        const offset = slot * DIGEST_SIZE;
+        let i = 0;
+        while (i < DIGEST_SIZE && digests[offset + i] === scratch[i]) i++;
+        if (i === DIGEST_SIZE) return slot;
+      }
+      slot = (slot + 1) & mask;
+    }
+  }
+
+  _rehash(capacity) {
+    const digests = this._digests;
+    const states = this._states;
+    const oldCapacity = this._capacity;
+    this._allocate(capacity);
+    for (let slot = 0; slot < oldCapacity; slot++) {
+      if (states[slot] === SLOT_USED) {
+        for (let i = 0; i < DIGEST_SIZE; i++) this._scratch[i] = digests[slot * DIGEST_SIZE + i];
+        this._insert(-1 - this._find());
+      }
+    }
+  }
+
+  _insert(slot) {
+    if (this._states[slot] === SLOT_EMPTY) this._filled++;
+    this._states[slot] = SLOT_USED;
+    for (let i = 0; i < DIGEST_SIZE; i++) this._digests[slot * DIGEST_SIZE + i] = this._scratch[i];
+    this._size++;
+  }
+
+  has(tth) {
+    return decodeTTH(tth, this._scratch) && this._find() >= 0;
+  }
+
+  // Adds a TTH; malformed TTHs are ignored.
+  add(tth) {
+    if (!decodeTTH(tth, this._scratch)) return this;
+    const found = this._find();
+    if (found >= 0) return this;
+    if (this._filled + 1 > this._capacity * MAX_LOAD) {
+      // Grow when live entries dominate, otherwise just clean up deleted slots.
+      this._rehash(this._size + 1 > this._capacity * MAX_LOAD / 2 ? this._capacity * 2 : this._capacity);
+      decodeTTH(tth, this._scratch);
+      this._insert(-1 - this._find());
+    } else {
+      this._insert(-1 - found);
+    }
+    return this;
+  }
+
+  delete(tth) {
+    if (!decodeTTH(tth, this._scratch)) return false;
+    const slot = this._find();
+    if (slot < 0) return false;
+    this._states[slot] = SLOT_DELETED;
+    this._size--;
+    return true;
+  }
+
+  clear() {
+    this._allocate(MIN_CAPACITY);
+  }
+
+  * values() {
+    for (let slot = 0; slot < this._capacity; slot++) {
+      if (this._states[slot] === SLOT_USED) {
+        yield encodeTTH(this._digests, slot * DIGEST_SIZE);
+      }
+    }
+  }
+
+  [Symbol.iterator]() {
+    return this.values();
+  }
+
+  forEach(callback) {
+    for (const tth of this.values()) callback(tth, tth, this);
+  }
+
+  // Bytes held by the table, for logging and benchmarks.
+  get byteLength() {
+    return this._digests.length + this._states.length;
+  }
+}
+
+// Push-based streaming parser for blocklist JSON documents.
+// Each element of the top-level "tths" array is parsed on its own and passed to onEntry; everything else is kept
+// as the header, which end() returns with an empty tths array (or null for an empty document).
+// Example: const parser = new BlocklistParser(item => ...); parser.write(chunk); const header = parser.end();
+class BlocklistParser {
+  constructor(onEntry) {
+    this.onEntry = onEntry;
+    this.count = 0;
+    this._header = '';
+    this._element = '';
+    this._depth = 0;
+    this._inString = false;
+    this._escaped = false;
+    this._string = '';
+    this._lastString = null;
+    this._key = null;
+    this._inEntries = false;
+    this._entryDepth = 0;
+  }
+
+  write(text) {
+    let start = 0;
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (this._inString) {
+        if (this._escaped) {
+          this._escaped = false;
+        } else if (char === '\\') {
+          this._escaped = true;
+        } else if (char === '"') {
+          this._inString = false;
+          if (!this._inEntries && this._depth === 1) {
+            this._lastString = this._string + text.slice(start, i);
+          }
+        }
+        continue;
+      }
+      if (char === '"') {
+        this._inString = true;
+        if (!this._inEntries && this._depth === 1) {
+          this._string = '';
+          this._header += text.slice(start, i + 1);
+          start = i + 1;
+        }
+        continue;
+      }
+      if (this._inEntries) {
+        if (char === '{' || char === '[') {
+          if (this._entryDepth === 0) start = i;
+          this._entryDepth++;
+        } else if (char === '}' || (char === ']' && this._entryDepth > 0)) {
+          this._entryDepth--;
+          if (this._entryDepth === 0) {
+            this._emit(this._element + text.slice(start, i + 1));
+            this._element = '';
+            start = i + 1;
+          }
+        } else if (char === ']') {
+          this._inEntries = false;
+          this._header += '[]';
+          start = i + 1;
+        } else if (this._entryDepth === 0) {
+          start = i + 1;
+        }
+        continue;
+      }
+      if (char === ':' && this._depth === 1) {
+        this._key = this._lastString;
+      } else if (char === ',' && this._depth === 1) {
+        this._key = null;
+      } else if (char === '[' && this._depth === 1 && this._key === 'tths') {
+        this._header += text.slice(start, i);
+        this._inEntries = true;
+        this._entryDepth = 0;
+        start = i + 1;
+        continue;
+      } else if (char === '{' || char === '[') {
+        this._depth++;
+      } else if (char === '}' || char === ']') {
+        this._depth--;
+      }
+    }
+    if (this._inEntries) {
+      if (this._entryDepth > 0) this._element += text.slice(start);
+    } else {
+      if (this._inString && this._depth === 1) {
+        this._string += text.slice(start);
+      }
+      this._header += text.slice(start);
+    }
+  }
+
+  _emit(text) {
+    this.count++;
+    this.onEntry(JSON.parse(text));
+  }
+
+  end() {
+    if (this._inEntries || this._inString) {
+      throw new Error('Unexpected end of JSON input in tths array');
+    }
+    if (this._header.trim() === '') {
+      return null;
+    }
+    return JSON.parse(this._header);
+  }
+}
+
+module.exports = {
+  TTHSet,
+  BlocklistParser,
+  decodeTTH,
+  encodeTTH
+};